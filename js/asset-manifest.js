@@ -0,0 +1,60 @@
+/**
+ * Asset Manifest — content hashes of downloads and translation files (generated)
+ * Written by the build scripts (npm run build:manifest, build:pdf, build:exports, build:banner);
+ * do not edit by hand. Read it through js/asset-url.js.
+ * @module asset-manifest
+ */
+
+/** @type {Object<string, string>} Root-relative path → short SHA-256 of the file */
+export const ASSET_HASHES = {
+  'assets/banners/avatar-dark-en.png': '836a31911fa3',
+  'assets/banners/avatar-dark-es.png': 'a6f67022430c',
+  'assets/banners/avatar-light-en.png': '39457a4af001',
+  'assets/banners/avatar-light-es.png': '998bad9971ba',
+  'assets/banners/github-social-preview-dark-en.png': '81ae2120f65e',
+  'assets/banners/github-social-preview-dark-es.png': '0e1efa73e95f',
+  'assets/banners/github-social-preview-light-en.png': '06a147b56aa3',
+  'assets/banners/github-social-preview-light-es.png': '33e349232e31',
+  'assets/banners/linkedin-banner-dark-en.png': 'd79a2975b612',
+  'assets/banners/linkedin-banner-dark-es.png': '40153b718374',
+  'assets/banners/linkedin-banner-light-en.png': 'dcd053624665',
+  'assets/banners/linkedin-banner-light-es.png': 'd52791907d64',
+  'assets/banners/manifest.json': 'f380c0ffe455',
+  'assets/banners/og-image-dark-en.png': '7e67d8e84e10',
+  'assets/banners/og-image-dark-es.png': '57a8bd14f903',
+  'assets/banners/og-image-light-en.png': '3c2b2129f602',
+  'assets/banners/og-image-light-es.png': '4e148e1e21ec',
+  'assets/banners/x-header-dark-en.png': 'eff20ceacea8',
+  'assets/banners/x-header-dark-es.png': 'de34259bf023',
+  'assets/banners/x-header-light-en.png': '15b292dbc296',
+  'assets/banners/x-header-light-es.png': '9fdc5e4384fb',
+  'assets/focus/backend-en.pdf': 'ed4a19075476',
+  'assets/focus/backend-es.pdf': '4c8364783bed',
+  'assets/focus/frontend-en.pdf': 'f74d8033e4de',
+  'assets/focus/frontend-es.pdf': '259fd3f7d1f2',
+  'assets/focus/integrations-en.pdf': '44b2c7fcb588',
+  'assets/focus/integrations-es.pdf': '4a7e69f2e654',
+  'assets/focus/payments-en.pdf': 'd4cd5305cae8',
+  'assets/focus/payments-es.pdf': '725c8bc535f3',
+  'assets/focus/salesforce-en.pdf': '72dcfd10a50f',
+  'assets/focus/salesforce-es.pdf': '14c78f04c071',
+  'assets/joaquin-noguera-cv-en-ats.html': '9ae0024db7bb',
+  'assets/joaquin-noguera-cv-en-ats.txt': '2718604b8138',
+  'assets/joaquin-noguera-cv-en-compact.pdf': 'f81331ff79a3',
+  'assets/joaquin-noguera-cv-en-letter-compact.pdf': '74226fae4157',
+  'assets/joaquin-noguera-cv-en-letter.pdf': '28f1ea904522',
+  'assets/joaquin-noguera-cv-en.json': '9c1149131169',
+  'assets/joaquin-noguera-cv-en.md': 'cd0dd8282c3a',
+  'assets/joaquin-noguera-cv-en.pdf': '32ddeec4c51d',
+  'assets/joaquin-noguera-cv-es-ats.html': 'b0c0c17c92fe',
+  'assets/joaquin-noguera-cv-es-ats.txt': '3404ce5d7060',
+  'assets/joaquin-noguera-cv-es-compact.pdf': '9dfdfde15cf7',
+  'assets/joaquin-noguera-cv-es-letter-compact.pdf': 'c032fd954825',
+  'assets/joaquin-noguera-cv-es-letter.pdf': 'e757514569ac',
+  'assets/joaquin-noguera-cv-es.json': '1e96804626f2',
+  'assets/joaquin-noguera-cv-es.md': '6371668abc72',
+  'assets/joaquin-noguera-cv-es.pdf': '81b97dfb8b7b',
+  'i18n/en.json': 'e8da9696ccd2',
+  'i18n/es.json': 'e680041702ec',
+  'i18n/languages.json': 'fa9fcdcc17fc',
+};
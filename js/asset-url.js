@@ -0,0 +1,27 @@
+/**
+ * Asset URLs — cache-busted paths from the generated content-hash manifest
+ * A file's URL and cache version change exactly when its content does, so there is no version
+ * constant to bump. Files missing from the manifest (not rebuilt yet) get a plain URL.
+ * @module asset-url
+ */
+
+import { ASSET_HASHES } from './asset-manifest.js';
+
+/**
+ * Content hash of a file, as recorded by the last build.
+ * @param {string} path - Root-relative path, e.g. "i18n/es.json"
+ * @returns {string|null} Short SHA-256, or null when not in the manifest
+ */
+export function assetHash(path) {
+  return Object.hasOwn(ASSET_HASHES, path) ? ASSET_HASHES[path] : null;
+}
+
+/**
+ * URL for a file with its content hash as `?v=`.
+ * @param {string} path - Root-relative path, e.g. "assets/joaquin-noguera-cv-en.pdf"
+ * @returns {string} Cache-busted URL (the plain path when the file is not in the manifest)
+ */
+export function assetUrl(path) {
+  const hash = assetHash(path);
+  return hash ? `${path}?v=${hash}` : path;
+}
@@ -0,0 +1,282 @@
+/**
+ * Banner Export — renders the live `#linkedin-banner` preview to a PNG in the browser
+ * The banner is cloned with every computed style inlined, the particle canvas and images are
+ * swapped for data-URL snapshots, and the used web fonts are embedded; the result is drawn
+ * through an SVG `<foreignObject>` into a canvas of the export size. What is on screen — theme,
+ * language, particles — is what lands in the file, without running Playwright.
+ * Pseudo-elements are not captured (the banner markup does not use them).
+ * @module banner-export
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FONT_FACE_PATTERN = /@font-face\s*{[^}]*}/g;
+const CSS_URL_PATTERN = /url\((['"]?)([^'")]+)\1\)/g;
+const HEX_RADIX = 16;
+/** Preview-only chrome that the exported file should not carry (see `html.banner-export`). */
+const EXPORT_ROOT_STYLE = {
+  position: 'relative',
+  margin: '0',
+  border: 'none',
+  'border-radius': '0',
+  'box-shadow': 'none',
+};
+
+/**
+ * Reads a Blob as a data URL.
+ * @param {Blob} blob - File contents
+ * @returns {Promise<string>} data: URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => resolve(reader.result));
+    reader.addEventListener('error', () => reject(reader.error));
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Fetches a URL as a data URL.
+ * @param {string} url - Absolute URL
+ * @returns {Promise<string>} data: URL
+ */
+async function fetchDataUrl(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+  return blobToDataUrl(await response.blob());
+}
+
+/**
+ * Lower-cased, unquoted family names from a `font-family` value.
+ * @param {string} value - e.g. `'Space Grotesk', system-ui, sans-serif`
+ * @returns {string[]} Family names
+ */
+function parseFamilies(value) {
+  return value.split(',').map((family) => family.trim().replace(/^['"]|['"]$/g, '').toLowerCase());
+}
+
+/**
+ * Whether a `font-weight` descriptor ("400" or a "300 700" range) covers a weight.
+ * @param {string} descriptor - Descriptor from @font-face (empty means any)
+ * @param {number} weight - Used weight
+ * @returns {boolean}
+ */
+function weightMatches(descriptor, weight) {
+  const [min, max = min] = (descriptor || '').trim().split(/\s+/).map(Number);
+  return !Number.isFinite(min) || (weight >= min && weight <= max);
+}
+
+/**
+ * Whether a `unicode-range` descriptor covers any of the given code points.
+ * @param {string} descriptor - e.g. "U+0000-00FF, U+0131" (empty means all)
+ * @param {Set<number>} codePoints - Characters in the banner
+ * @returns {boolean}
+ */
+function rangeMatches(descriptor, codePoints) {
+  if (!descriptor) {
+    return true;
+  }
+  return descriptor.split(',').some((part) => {
+    const [from, to = from] = part.trim().replace(/^U\+/i, '').split('-');
+    const start = parseInt(from.replace(/\?/g, '0'), HEX_RADIX);
+    const end = parseInt(to.replace(/\?/g, 'f'), HEX_RADIX);
+    for (const codePoint of codePoints) {
+      if (codePoint >= start && codePoint <= end) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+/**
+ * Reads a descriptor value from an @font-face block.
+ * @param {string} block - @font-face CSS text
+ * @param {string} name - Descriptor name
+ * @returns {string} Value ('' when absent)
+ */
+function descriptor(block, name) {
+  const match = new RegExp(`${name}\\s*:\\s*([^;}]+)`, 'i').exec(block);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * @font-face blocks from every stylesheet, with their base URL for relative `src`.
+ * Cross-origin sheets without CORS (Google Fonts) hide their rules, so those are re-fetched.
+ * @returns {Promise<{ css: string, baseUrl: string }[]>}
+ */
+async function collectFontFaces() {
+  const faces = [];
+  const sheets = Array.from(document.styleSheets);
+  await Promise.all(sheets.map(async (sheet) => {
+    const baseUrl = sheet.href || document.baseURI;
+    try {
+      Array.from(sheet.cssRules).forEach((rule) => {
+        if (rule instanceof CSSFontFaceRule) {
+          faces.push({ css: rule.cssText, baseUrl });
+        }
+      });
+    } catch (_error) {
+      if (!sheet.href) {
+        return;
+      }
+      try {
+        const text = await (await fetch(sheet.href)).text();
+        (text.match(FONT_FACE_PATTERN) || []).forEach((css) => faces.push({ css, baseUrl }));
+      } catch (_fetchError) {
+        /* Font stays unembedded; the export falls back to a local font */
+      }
+    }
+  }));
+  return faces;
+}
+
+/**
+ * Builds @font-face CSS for the fonts the banner actually uses, with font files inlined,
+ * because an SVG drawn as an image cannot load external resources.
+ * @param {HTMLElement} root - Banner element
+ * @returns {Promise<string>} CSS text
+ */
+async function embedFonts(root) {
+  /** @type {Map<string, Set<number>>} family → used weights */
+  const used = new Map();
+  [root, ...root.querySelectorAll('*')].forEach((el) => {
+    const style = getComputedStyle(el);
+    parseFamilies(style.fontFamily).forEach((family) => {
+      if (!used.has(family)) {
+        used.set(family, new Set());
+      }
+      used.get(family).add(Number(style.fontWeight));
+    });
+  });
+  const codePoints = new Set(Array.from(root.textContent || '', (char) => char.codePointAt(0)));
+
+  const faces = (await collectFontFaces()).filter(({ css }) => {
+    const weights = used.get(parseFamilies(descriptor(css, 'font-family'))[0]);
+    return weights
+      && Array.from(weights).some((weight) => weightMatches(descriptor(css, 'font-weight'), weight))
+      && rangeMatches(descriptor(css, 'unicode-range'), codePoints);
+  });
+
+  const inlined = await Promise.all(faces.map(async ({ css, baseUrl }) => {
+    const urls = Array.from(css.matchAll(CSS_URL_PATTERN), (match) => match[2]);
+    let result = css;
+    for (const url of urls) {
+      if (url.startsWith('data:')) {
+        continue;
+      }
+      try {
+        result = result.replace(url, await fetchDataUrl(new URL(url, baseUrl).href));
+      } catch (_error) {
+        /* Leave the URL; that face will not render in the export */
+      }
+    }
+    return result;
+  }));
+  return inlined.join('\n');
+}
+
+/**
+ * Copies every computed property onto the clone's inline style.
+ * @param {Element} source - Live element
+ * @param {Element} target - Clone
+ */
+function inlineStyles(source, target) {
+  const computed = getComputedStyle(source);
+  for (const property of computed) {
+    target.style.setProperty(property, computed.getPropertyValue(property), computed.getPropertyPriority(property));
+  }
+}
+
+/**
+ * Deep-clones the banner with inlined styles; canvases become snapshots and images data URLs.
+ * @param {HTMLElement} root - Banner element
+ * @param {{ width: number, height: number }} size - Export size
+ * @returns {Promise<HTMLElement>} Self-contained clone
+ */
+async function cloneForExport(root, size) {
+  const clone = root.cloneNode(true);
+  const sources = [root, ...root.querySelectorAll('*')];
+  const targets = [clone, ...clone.querySelectorAll('*')];
+
+  await Promise.all(sources.map(async (source, index) => {
+    let target = targets[index];
+    if (source instanceof HTMLCanvasElement) {
+      const snapshot = document.createElement('img');
+      snapshot.src = source.toDataURL('image/png');
+      target.replaceWith(snapshot);
+      target = snapshot;
+    } else if (source instanceof HTMLImageElement && source.currentSrc) {
+      target.removeAttribute('srcset');
+      try {
+        target.src = await fetchDataUrl(source.currentSrc);
+      } catch (_error) {
+        target.removeAttribute('src');
+      }
+    }
+    inlineStyles(source, target);
+  }));
+
+  Object.entries(EXPORT_ROOT_STYLE).forEach(([property, value]) => {
+    clone.style.setProperty(property, value);
+  });
+  clone.style.setProperty('width', `${size.width}px`);
+  clone.style.setProperty('height', `${size.height}px`);
+  return clone;
+}
+
+/**
+ * Loads an image and waits until it can be drawn.
+ * @param {string} src - Image URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.addEventListener('load', () => resolve(image));
+    image.addEventListener('error', () => reject(new Error('Banner snapshot could not be rendered')));
+    image.src = src;
+  });
+}
+
+/**
+ * Renders the banner element to a PNG blob at the preset's export size (e.g. 1584 × 396).
+ * @param {HTMLElement} root - `#linkedin-banner`
+ * @param {{ width: number, height: number }} size - Export size (see js/banner-presets.js)
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function renderBannerPng(root, { width, height }) {
+  await document.fonts.ready;
+  const [fontCss, clone] = await Promise.all([embedFonts(root), cloneForExport(root, { width, height })]);
+
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('width', String(width));
+  svg.setAttribute('height', String(height));
+  const style = document.createElementNS(SVG_NS, 'style');
+  style.textContent = fontCss;
+  const foreignObject = document.createElementNS(SVG_NS, 'foreignObject');
+  foreignObject.setAttribute('width', '100%');
+  foreignObject.setAttribute('height', '100%');
+  foreignObject.appendChild(clone);
+  svg.append(style, foreignObject);
+
+  const markup = new XMLSerializer().serializeToString(svg);
+  const image = await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Canvas could not be encoded as PNG'));
+      }
+    }, 'image/png');
+  });
+}
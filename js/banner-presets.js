@@ -0,0 +1,85 @@
+/**
+ * Banner Presets — cover and card formats the banner studio can lay out and export
+ * Each preset has its export size, a safe area (inner padding that keeps copy clear of the
+ * platform's crops and profile-photo overlap) and a max copy width so text does not run under
+ * the optional photo. Layout tweaks beyond that live in css/banner.css under `[data-banner-preset]`.
+ * No DOM access: shared by the studio page and scripts/generate-banner.js.
+ * @module banner-presets
+ */
+
+export const DEFAULT_PRESET = 'linkedin';
+
+/**
+ * @typedef {Object} BannerPreset
+ * @property {string} id - Preset key (`?preset=`)
+ * @property {string} slug - File name stem for exports
+ * @property {number} width - Export width in CSS pixels
+ * @property {number} height - Export height in CSS pixels
+ * @property {{ top: number, right: number, bottom: number, left: number }} safeArea - Inner padding in pixels
+ * @property {number|null} copyWidth - Max width of the text block, padding included (null: full width)
+ */
+
+/** @type {Object<string, BannerPreset>} */
+export const BANNER_PRESETS = {
+  /* LinkedIn crops the sides on mobile and the profile photo overlaps the bottom left. */
+  linkedin: {
+    id: 'linkedin',
+    slug: 'linkedin-banner',
+    width: 1584,
+    height: 396,
+    safeArea: { top: 0, right: 72, bottom: 0, left: 72 },
+    copyWidth: 980,
+  },
+  /* X crops about 60px top and bottom on some clients. */
+  x: {
+    id: 'x',
+    slug: 'x-header',
+    width: 1500,
+    height: 500,
+    safeArea: { top: 60, right: 72, bottom: 60, left: 72 },
+    copyWidth: 980,
+  },
+  github: {
+    id: 'github',
+    slug: 'github-social-preview',
+    width: 1280,
+    height: 640,
+    safeArea: { top: 40, right: 80, bottom: 40, left: 80 },
+    copyWidth: 900,
+  },
+  /* Some platforms show Open Graph images center-cropped to 1.91:1 or square. */
+  og: {
+    id: 'og',
+    slug: 'og-image',
+    width: 1200,
+    height: 630,
+    safeArea: { top: 40, right: 80, bottom: 40, left: 80 },
+    copyWidth: 840,
+  },
+  /* YouTube, Slack and most chat apps crop avatars to a circle: keep copy inside it. */
+  avatar: {
+    id: 'avatar',
+    slug: 'avatar',
+    width: 800,
+    height: 800,
+    safeArea: { top: 140, right: 140, bottom: 140, left: 140 },
+    copyWidth: null,
+  },
+};
+
+/**
+ * @param {string|null|undefined} id - Candidate preset key
+ * @returns {boolean} Whether it names a preset
+ */
+export function isPreset(id) {
+  return typeof id === 'string' && Object.hasOwn(BANNER_PRESETS, id);
+}
+
+/**
+ * Looks up a preset, falling back to the LinkedIn cover for unknown keys.
+ * @param {string|null|undefined} id - Preset key
+ * @returns {BannerPreset}
+ */
+export function getPreset(id) {
+  return BANNER_PRESETS[isPreset(id) ? id : DEFAULT_PRESET];
+}
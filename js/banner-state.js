@@ -0,0 +1,107 @@
+/**
+ * Banner State — the banner studio's editable fields, format preset and their URL form
+ * Only fields that differ from the defaults are kept, so a state object, the stored copy and the
+ * query string all stay small and untouched fields keep following the page language. The photo
+ * choice is kept once made, on or off, so a shared link can also hide a photo the recipient saved.
+ * No DOM access: shared by js/banner-studio.js and scripts/generate-banner.js.
+ * @module banner-state
+ */
+
+import { DEFAULT_PRESET, isPreset } from './banner-presets.js';
+
+/** Text fields, in form order. */
+export const TEXT_FIELDS = ['name', 'headline', 'stack', 'location'];
+export const MAX_TEXT_LENGTH = 120;
+const ACCENT_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/** Every query parameter the studio owns. */
+export const STATE_PARAMS = [...TEXT_FIELDS, 'accent', 'avatar', 'preset'];
+
+/**
+ * @typedef {Object} BannerState
+ * @property {string} [name] - Display name
+ * @property {string} [headline] - Role line under the name
+ * @property {string} [stack] - Technology line
+ * @property {string} [location] - Location line
+ * @property {string} [accent] - Accent color as #rrggbb
+ * @property {boolean} [avatar] - Show (true) or hide (false) the profile photo; unset hides it too
+ * @property {string} [preset] - Format key from js/banner-presets.js (omitted for the LinkedIn cover)
+ */
+
+/**
+ * Drops unknown keys and invalid values; trims and caps text.
+ * @param {Object} raw - Untrusted input (localStorage, URL, env)
+ * @returns {BannerState} Clean state
+ */
+export function normalizeState(raw) {
+  const state = {};
+  if (!raw || typeof raw !== 'object') {
+    return state;
+  }
+  TEXT_FIELDS.forEach((field) => {
+    const value = typeof raw[field] === 'string' ? raw[field].trim().slice(0, MAX_TEXT_LENGTH) : '';
+    if (value) {
+      state[field] = value;
+    }
+  });
+  if (typeof raw.accent === 'string' && ACCENT_PATTERN.test(raw.accent)) {
+    state.accent = raw.accent.toLowerCase();
+  }
+  if (typeof raw.avatar === 'boolean') {
+    state.avatar = raw.avatar;
+  }
+  if (isPreset(raw.preset) && raw.preset !== DEFAULT_PRESET) {
+    state.preset = raw.preset;
+  }
+  return state;
+}
+
+/**
+ * Reads studio fields from query parameters (`avatar=1` turns the photo on, `avatar=0` off).
+ * @param {URLSearchParams|string} params - Query string or parsed parameters
+ * @returns {BannerState} Clean state
+ */
+export function parseState(params) {
+  const search = typeof params === 'string' ? new URLSearchParams(params) : params;
+  const raw = {};
+  TEXT_FIELDS.forEach((field) => {
+    if (search.has(field)) {
+      raw[field] = search.get(field);
+    }
+  });
+  if (search.has('accent')) {
+    raw.accent = search.get('accent');
+  }
+  if (['0', '1'].includes(search.get('avatar'))) {
+    raw.avatar = search.get('avatar') === '1';
+  }
+  raw.preset = search.get('preset');
+  return normalizeState(raw);
+}
+
+/**
+ * Writes a state onto query parameters, replacing any previous studio fields
+ * and keeping everything else (theme, lang, seed…).
+ * @param {BannerState} state - Studio state
+ * @param {URLSearchParams} params - Parameters to update in place
+ * @returns {URLSearchParams} The same parameters
+ */
+export function writeState(state, params) {
+  STATE_PARAMS.forEach((param) => params.delete(param));
+  const clean = normalizeState(state);
+  TEXT_FIELDS.forEach((field) => {
+    if (clean[field]) {
+      params.set(field, clean[field]);
+    }
+  });
+  if (clean.accent) {
+    params.set('accent', clean.accent);
+  }
+  if (clean.avatar !== undefined) {
+    params.set('avatar', clean.avatar ? '1' : '0');
+  }
+  if (clean.preset) {
+    params.set('preset', clean.preset);
+  }
+  return params;
+}
@@ -0,0 +1,233 @@
+/**
+ * Banner Studio — edit the banner copy, accent color, photo and format live from a form
+ * Edits apply to `#linkedin-banner` as you type, persist in localStorage and mirror into the
+ * query string, so the URL can be shared or passed to `npm run build:banner` (BANNER_STUDIO).
+ * Studio fields in the URL override the saved copy one by one. Fields left at their default keep
+ * following the page language and theme.
+ * @module banner-studio
+ */
+
+import { onLangChange, t } from './i18n.js';
+import { TEXT_FIELDS, normalizeState, parseState, writeState } from './banner-state.js';
+import { getPreset } from './banner-presets.js';
+
+const STORAGE_KEY = 'jcv-banner-studio';
+
+/** Banner element and translation key (none for the name) for each text field. */
+const TEXT_TARGETS = {
+  name: { selector: '.banner-canvas__name', key: null },
+  headline: { selector: '.banner-canvas__role', key: 'banner.canvas_role' },
+  stack: { selector: '.banner-canvas__stack', key: 'banner.canvas_stack' },
+  location: { selector: '.banner-canvas__location', key: 'banner.canvas_location' },
+};
+
+/**
+ * The saved copy, with any studio fields the URL sets on top.
+ * @returns {import('./banner-state.js').BannerState}
+ */
+function loadState() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+  } catch (_error) {
+    /* Malformed storage or blocked localStorage: only the URL applies */
+  }
+  return { ...normalizeState(stored), ...parseState(new URLSearchParams(window.location.search)) };
+}
+
+/**
+ * @param {import('./banner-state.js').BannerState} state - Studio fields
+ */
+function saveState(state) {
+  try {
+    if (Object.keys(state).length === 0) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    }
+  } catch (_error) {
+    /* Ignore localStorage failures in privacy-restricted environments */
+  }
+}
+
+/**
+ * Mirrors the studio fields into the address bar, keeping theme, lang and particle params.
+ * @param {import('./banner-state.js').BannerState} state - Studio fields
+ */
+function syncUrl(state) {
+  const url = new URL(window.location.href);
+  writeState(state, url.searchParams);
+  window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * Sizes the banner for a preset: export size on <html> (the export CSS sizes the banner's
+ * ancestors too), safe area and copy width on the banner, and the matching crop advice.
+ * @param {HTMLElement} banner - `#linkedin-banner`
+ * @param {import('./banner-presets.js').BannerPreset} preset - Format to apply
+ */
+function applyPreset(banner, preset) {
+  const rootStyle = document.documentElement.style;
+  rootStyle.setProperty('--banner-width', `${preset.width}px`);
+  rootStyle.setProperty('--banner-height', `${preset.height}px`);
+  banner.dataset.bannerPreset = preset.id;
+  Object.entries(preset.safeArea).forEach(([side, px]) => {
+    banner.style.setProperty(`--banner-safe-${side}`, `${px}px`);
+  });
+  banner.style.setProperty('--banner-copy-width', preset.copyWidth ? `${preset.copyWidth}px` : 'none');
+
+  const hint = document.querySelector('[data-banner-preset-hint]');
+  if (hint) {
+    hint.setAttribute('data-i18n', `banner.preset_hints.${preset.id}`);
+    hint.textContent = t(`banner.preset_hints.${preset.id}`);
+  }
+}
+
+/**
+ * Wires the `[data-banner-form]` panel to `#linkedin-banner`.
+ * @param {{ onPresetChange?: (preset: import('./banner-presets.js').BannerPreset) => void }} [options] -
+ *   Called after the format changes (the particle canvas resizes to it)
+ * @returns {import('./banner-presets.js').BannerPreset} The format in effect after loading
+ */
+export function initBannerStudio({ onPresetChange } = {}) {
+  const banner = document.getElementById('linkedin-banner');
+  const form = document.querySelector('[data-banner-form]');
+  if (!banner || !form) {
+    return getPreset(null);
+  }
+  const avatar = banner.querySelector('.banner-canvas__avatar');
+  const status = form.querySelector('[data-banner-form-status]');
+  const defaultName = banner.querySelector(TEXT_TARGETS.name.selector)?.textContent.trim() || '';
+  let state = loadState();
+
+  const defaultText = (field) => {
+    const { key } = TEXT_TARGETS[field];
+    return key ? t(key) : defaultName;
+  };
+
+  /* The theme's accent as #rrggbb (the override only lives on the banner, not on <html>). */
+  const themeAccent = () => {
+    const value = getComputedStyle(document.documentElement).getPropertyValue('--color-primary').trim();
+    return normalizeState({ accent: value }).accent || '#000000';
+  };
+
+  function render() {
+    TEXT_FIELDS.forEach((field) => {
+      const el = banner.querySelector(TEXT_TARGETS[field].selector);
+      if (el) {
+        el.textContent = state[field] || defaultText(field);
+      }
+    });
+    if (state.accent) {
+      banner.style.setProperty('--color-primary', state.accent);
+    } else {
+      banner.style.removeProperty('--color-primary');
+    }
+    if (avatar) {
+      avatar.hidden = !state.avatar;
+    }
+    applyPreset(banner, getPreset(state.preset));
+    banner.setAttribute('aria-label', state.name || state.headline
+      ? t('banner.canvas_aria_custom', {
+        name: state.name || defaultText('name'),
+        headline: state.headline || defaultText('headline'),
+      })
+      : t('banner.canvas_aria'));
+  }
+
+  function fillForm() {
+    TEXT_FIELDS.forEach((field) => {
+      const input = form.elements.namedItem(field);
+      if (input) {
+        input.value = state[field] || defaultText(field);
+      }
+    });
+    const accent = form.elements.namedItem('accent');
+    if (accent) {
+      accent.value = state.accent || themeAccent();
+    }
+    const photo = form.elements.namedItem('avatar');
+    if (photo) {
+      photo.checked = Boolean(state.avatar);
+    }
+    const preset = form.elements.namedItem('preset');
+    if (preset) {
+      preset.value = getPreset(state.preset).id;
+    }
+  }
+
+  function commit(next) {
+    const presetChanged = getPreset(next.preset) !== getPreset(state.preset);
+    state = next;
+    render();
+    saveState(state);
+    syncUrl(state);
+    if (presetChanged && onPresetChange) {
+      onPresetChange(getPreset(state.preset));
+    }
+  }
+
+  /* A field equal to its default is not an override, so it keeps following language and theme. */
+  form.addEventListener('input', () => {
+    const raw = {};
+    TEXT_FIELDS.forEach((field) => {
+      const value = form.elements.namedItem(field)?.value.trim() || '';
+      if (value !== defaultText(field)) {
+        raw[field] = value;
+      }
+    });
+    const accent = form.elements.namedItem('accent')?.value.toLowerCase();
+    if (accent && accent !== themeAccent()) {
+      raw.accent = accent;
+    }
+    raw.avatar = Boolean(form.elements.namedItem('avatar')?.checked);
+    raw.preset = form.elements.namedItem('preset')?.value;
+    commit(normalizeState(raw));
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+  });
+
+  form.addEventListener('reset', (event) => {
+    event.preventDefault();
+    commit({});
+    fillForm();
+    if (status) {
+      status.textContent = '';
+    }
+  });
+
+  form.querySelector('[data-banner-share]')?.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      if (status) {
+        status.textContent = t('banner.form.share_done');
+      }
+    } catch (_error) {
+      if (status) {
+        status.textContent = t('banner.form.share_failed');
+      }
+    }
+  });
+
+  /* i18n rewrites the data-i18n lines and aria-label; put overrides back and refresh defaults. */
+  onLangChange(() => {
+    render();
+    fillForm();
+  });
+
+  new MutationObserver(() => {
+    if (!state.accent) {
+      fillForm();
+    }
+  }).observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+
+  render();
+  fillForm();
+  if (Object.keys(state).length > 0) {
+    saveState(state);
+    syncUrl(state);
+  }
+  return getPreset(state.preset);
+}
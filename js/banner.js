@@ -1,48 +1,183 @@
 /**
- * LinkedIn banner studio — theme, i18n, document title, PNG download links.
+ * LinkedIn banner studio — theme, i18n, document title and description, download buttons for
+ * the pre-built PNGs in assets/banners/manifest.json, in-browser PNG export of the live preview,
+ * the editable fields and format panel (js/banner-studio.js, js/banner-presets.js), and
+ * URL-driven particle options (`?seed=`, `?freeze=1`) for reproducible exports.
  * @module banner
  */
 
 import { initTheme } from './theme.js';
-import { initI18n, onLangChange } from './i18n.js';
+import { initI18n, onLangChange, t, getCurrentLang } from './i18n.js';
 import { initBannerParticles } from './particles.js';
 import { initCurrentPageNavLink, initMobileNav } from './utils.js';
 import { renderSiteNav } from './site-nav.js';
+import { renderBannerPng } from './banner-export.js';
+import { initBannerStudio } from './banner-studio.js';
+import { getPreset } from './banner-presets.js';
+import { assetUrl } from './asset-url.js';
 
-const BANNER_CACHE_BUST = '20260322banner10';
-const PNG_BY_THEME = {
-  dark: {
-    href: `assets/linkedin-banner.png?v=${BANNER_CACHE_BUST}`,
-    download: 'joaquin-noguera-linkedin-banner-dark.png',
-  },
-  light: {
-    href: `assets/linkedin-banner-light.png?v=${BANNER_CACHE_BUST}`,
-    download: 'joaquin-noguera-linkedin-banner-light.png',
-  },
-};
+const BANNER_MANIFEST_URL = 'assets/banners/manifest.json';
+
+/**
+ * @typedef {Object} BannerManifestEntry
+ * @property {string} file - File name under assets/banners/
+ * @property {string} preset - Preset id (js/banner-presets.js)
+ * @property {string} lang - Language code
+ * @property {string} theme - 'dark' or 'light'
+ * @property {number} width - Pixels
+ * @property {number} height - Pixels
+ * @property {number} bytes - File size
+ * @property {string} hash - SHA-256 of the file (hex)
+ */
 
 function syncDocTitle() {
   const el = document.getElementById('banner-page-title-src');
   if (el && el.textContent) {
     document.title = el.textContent.trim();
   }
+  const description = document.querySelector('meta[name="description"]');
+  if (description) {
+    description.setAttribute('content', t('banner.meta_description'));
+  }
+}
+
+/**
+ * Particle options from the URL: `?seed=` fixes the layout, `?freeze=1` draws one still frame.
+ * @returns {{ seed?: string, freeze: boolean }} Options for `initBannerParticles`
+ */
+function getParticleOptions() {
+  try {
+    const params = new URLSearchParams(window.location.search);
+    return {
+      seed: params.get('seed') ?? undefined,
+      freeze: params.get('freeze') === '1',
+    };
+  } catch (_error) {
+    return { freeze: false };
+  }
+}
+
+/**
+ * Triggers a file download through a temporary link.
+ * @param {string} href - File URL (asset path or object URL)
+ * @param {string} fileName - Suggested file name
+ */
+function downloadFile(href, fileName) {
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = fileName;
+  link.rel = 'noopener';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+/**
+ * Downloads a pre-built asset under our own name. The file goes through a blob first: static
+ * servers may send a `Content-Disposition` file name, which browsers prefer over `download`.
+ * @param {string} path - Asset path (gets its content hash, js/asset-url.js)
+ * @param {string} fileName - Suggested file name
+ */
+async function downloadAsset(path, fileName) {
+  try {
+    const response = await fetch(assetUrl(path));
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const url = URL.createObjectURL(await response.blob());
+    downloadFile(url, fileName);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  } catch (_error) {
+    /* Offline or blocked fetch: a plain link still downloads it, maybe under the server's name */
+    downloadFile(assetUrl(path), fileName);
+  }
+}
+
+/**
+ * Pre-built PNGs listed in the manifest written by scripts/generate-banner.js.
+ * @returns {Promise<BannerManifestEntry[]>} Entries, or none if the manifest cannot be read
+ */
+async function loadBannerManifest() {
+  try {
+    const response = await fetch(assetUrl(BANNER_MANIFEST_URL), { cache: 'no-cache' });
+    if (!response.ok) {
+      return [];
+    }
+    const { banners } = await response.json();
+    return Array.isArray(banners) ? banners : [];
+  } catch (_error) {
+    /* No pre-built downloads; the live preview export still works */
+    return [];
+  }
+}
+
+/**
+ * Download buttons for the pre-built PNGs of the current format, one per theme, in the page
+ * language when that was exported and otherwise in the first language the manifest has.
+ * @param {BannerManifestEntry[]} manifest - Manifest entries
+ * @returns {() => void} Re-renders the buttons (after a language or format change)
+ */
+function initBannerDownloads(manifest) {
+  const container = document.querySelector('[data-banner-downloads]');
+  const banner = document.getElementById('linkedin-banner');
+
+  return function renderDownloads() {
+    if (!container) {
+      return;
+    }
+    container.querySelectorAll('[data-banner-download]').forEach((btn) => btn.remove());
+    const preset = getPreset(banner?.dataset.bannerPreset).id;
+    const forPreset = manifest.filter((entry) => entry.preset === preset);
+    const lang = forPreset.some((entry) => entry.lang === getCurrentLang())
+      ? getCurrentLang()
+      : forPreset[0]?.lang;
+    const buttons = forPreset.filter((entry) => entry.lang === lang).map((entry) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn--secondary';
+      btn.setAttribute('data-banner-download', entry.theme);
+      btn.textContent = t(`banner.downloads.${entry.theme}`);
+      btn.addEventListener('click', () => {
+        downloadAsset(`assets/banners/${entry.file}`, `joaquin-noguera-${entry.file}`);
+      });
+      return btn;
+    });
+    container.prepend(...buttons);
+  };
 }
 
-function initBannerDownloads() {
-  document.querySelectorAll('[data-banner-download]').forEach((btn) => {
-    btn.addEventListener('click', () => {
-      const theme = btn.getAttribute('data-banner-download');
-      const spec = theme ? PNG_BY_THEME[theme] : null;
-      if (!spec) {
+/** "Download current preview": renders #linkedin-banner as shown (format, theme, language, particles). */
+function initPreviewExport() {
+  const banner = document.getElementById('linkedin-banner');
+  const status = document.querySelector('[data-banner-export-status]');
+  document.querySelectorAll('[data-banner-export]').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      if (!banner || btn.disabled) {
         return;
       }
-      const link = document.createElement('a');
-      link.href = spec.href;
-      link.download = spec.download;
-      link.rel = 'noopener';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      const theme = document.documentElement.getAttribute('data-theme') || 'dark';
+      const preset = getPreset(banner.dataset.bannerPreset);
+      const fileName = `joaquin-noguera-${preset.slug}-${theme}-${getCurrentLang()}.png`;
+      btn.disabled = true;
+      btn.setAttribute('aria-busy', 'true');
+      if (status) {
+        status.textContent = t('banner.export_busy');
+      }
+      try {
+        const url = URL.createObjectURL(await renderBannerPng(banner, preset));
+        downloadFile(url, fileName);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        if (status) {
+          status.textContent = t('banner.export_done', { file: fileName });
+        }
+      } catch (_error) {
+        if (status) {
+          status.textContent = t('banner.export_failed');
+        }
+      } finally {
+        btn.disabled = false;
+        btn.removeAttribute('aria-busy');
+      }
     });
   });
 }
@@ -57,8 +192,19 @@ async function init() {
   syncDocTitle();
   initMobileNav();
   initCurrentPageNavLink();
-  initBannerDownloads();
-  initBannerParticles();
+  initPreviewExport();
+  let particles = null;
+  let renderDownloads = () => {};
+  const preset = initBannerStudio({
+    onPresetChange: (next) => {
+      particles?.setSize(next);
+      renderDownloads();
+    },
+  });
+  particles = initBannerParticles({ ...getParticleOptions(), size: preset });
+  renderDownloads = initBannerDownloads(await loadBannerManifest());
+  onLangChange(renderDownloads);
+  renderDownloads();
 }
 
 if (document.readyState === 'loading') {
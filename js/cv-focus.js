@@ -0,0 +1,78 @@
+/**
+ * CV Focus — tailors the CV to focus areas (backend, payments, …)
+ * Experience bullets and skill keywords in data/resume.json may be tagged as
+ * `{ "text": …, "focus": ["backend", "payments"] }`. With a focus, each role keeps only its
+ * matching bullets (best matches first; roles stay in date order and keep their header), and the
+ * skills section keeps matching keywords, groups with the most matches first.
+ * No DOM access: shared by the CV page (`?focus=backend,payments`) and scripts/generate-pdf.js.
+ * @module cv-focus
+ */
+
+/** Focus areas, in display order; also the order of their names in tailored PDF file names. */
+export const FOCUS_AREAS = ['backend', 'payments', 'integrations', 'salesforce', 'frontend'];
+/** Tailored PDFs, e.g. assets/focus/backend-payments-en.pdf (see {@link focusPdfPath}). */
+export const FOCUS_PDF_DIR = 'assets/focus';
+
+/**
+ * Reads a focus list such as "payments,backend" (the `?focus=` value).
+ * @param {string|string[]|null|undefined} value - Comma-separated areas, or an array of them
+ * @returns {string[]} Known areas in {@link FOCUS_AREAS} order, without duplicates ([] for none)
+ */
+export function parseFocus(value) {
+  const wanted = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map((area) => area.trim().toLowerCase());
+  return FOCUS_AREAS.filter((area) => wanted.includes(area));
+}
+
+/**
+ * @param {*} item - Highlight or keyword (plain, localized or tagged)
+ * @param {string[]} focus - Areas from {@link parseFocus}
+ * @returns {number} How many of the areas the item is tagged with
+ */
+function matchCount(item, focus) {
+  const tags = item && Array.isArray(item.focus) ? item.focus : [];
+  return focus.filter((area) => tags.includes(area)).length;
+}
+
+/**
+ * Keeps the items matching the focus, most matches first (stable within a tie).
+ * @param {Array} items - Highlights or keywords
+ * @param {string[]} focus - Areas
+ * @returns {Array}
+ */
+function pickMatches(items, focus) {
+  return (items || [])
+    .map((item, index) => ({ item, index, score: matchCount(item, focus) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ item }) => item);
+}
+
+/**
+ * Copy of the resume tailored to the focus (the resume itself when the focus is empty).
+ * @param {Object} resume - Resume data, before localization
+ * @param {string[]} focus - Areas from {@link parseFocus}
+ * @returns {Object}
+ */
+export function focusResume(resume, focus) {
+  if (!resume || focus.length === 0) {
+    return resume;
+  }
+  const work = (resume.work || []).map((role) => ({ ...role, highlights: pickMatches(role.highlights, focus) }));
+  const skills = (resume.skills || [])
+    .map((group, index) => ({ group: { ...group, keywords: pickMatches(group.keywords, focus) }, index }))
+    .filter(({ group }) => group.keywords.length > 0)
+    .sort((a, b) => b.group.keywords.length - a.group.keywords.length || a.index - b.index)
+    .map(({ group }) => group);
+  return { ...resume, work, skills };
+}
+
+/**
+ * Tailored PDF for a focus and language, as written by `npm run build:pdf`.
+ * @param {string[]} focus - Non-empty areas from {@link parseFocus}
+ * @param {string} lang - Language code
+ * @returns {string} Root-relative path, e.g. "assets/focus/backend-payments-en.pdf"
+ */
+export function focusPdfPath(focus, lang) {
+  return `${FOCUS_PDF_DIR}/${focus.join('-')}-${lang}.pdf`;
+}
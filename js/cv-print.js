@@ -0,0 +1,109 @@
+/**
+ * CV Print Options — pre-print dialog for the Print CV button
+ * The visitor picks photo, contact details, testimonials, color or grayscale, and text size; the
+ * choices become `cv-print--*` classes on <html> that css/print.css styles. They are applied on
+ * `beforeprint` and removed on `afterprint`, so the page itself never changes and the browser's own
+ * print shortcut uses the last choices too. Without classes, print matches the curated PDF
+ * (scripts/generate-pdf.js).
+ * @module cv-print
+ */
+
+/** Text sizes, smallest first ("normal" is the PDF's). */
+export const PRINT_SCALES = ['small', 'normal', 'large'];
+
+/** Choices that leave print identical to the curated PDF. */
+export const PRINT_DEFAULTS = Object.freeze({
+  photo: true,
+  contact: true,
+  testimonials: false,
+  grayscale: false,
+  scale: 'normal',
+});
+
+/**
+ * Classes css/print.css reads for a set of choices (none for the defaults).
+ * @param {typeof PRINT_DEFAULTS} options
+ * @returns {string[]}
+ */
+export function printClasses({ photo, contact, testimonials, grayscale, scale }) {
+  return [
+    !photo && 'cv-print--no-photo',
+    !contact && 'cv-print--no-contact',
+    testimonials && 'cv-print--testimonials',
+    grayscale && 'cv-print--grayscale',
+    scale !== 'normal' && PRINT_SCALES.includes(scale) && `cv-print--scale-${scale}`,
+  ].filter(Boolean);
+}
+
+/**
+ * Reads the dialog's form.
+ * @param {HTMLFormElement} form
+ * @returns {typeof PRINT_DEFAULTS}
+ */
+function readOptions(form) {
+  const { elements } = form;
+  return {
+    photo: elements.namedItem('photo').checked,
+    contact: elements.namedItem('contact').checked,
+    testimonials: elements.namedItem('testimonials').checked,
+    grayscale: elements.namedItem('colors').value === 'grayscale',
+    scale: elements.namedItem('scale').value,
+  };
+}
+
+/**
+ * Sets the dialog's form from a set of choices (so Cancel discards edits).
+ * @param {HTMLFormElement} form
+ * @param {typeof PRINT_DEFAULTS} options
+ */
+function writeOptions(form, options) {
+  const { elements } = form;
+  elements.namedItem('photo').checked = options.photo;
+  elements.namedItem('contact').checked = options.contact;
+  elements.namedItem('testimonials').checked = options.testimonials;
+  elements.namedItem('colors').value = options.grayscale ? 'grayscale' : 'color';
+  elements.namedItem('scale').value = options.scale;
+}
+
+/**
+ * Wires the print button (`#print-btn`) to the options dialog (`#print-dialog`, a <dialog> with a
+ * `method="dialog"` form whose Print button has `value="print"`). Falls back to printing directly
+ * when the dialog is missing or unsupported.
+ */
+export function initPrintOptions() {
+  const printBtn = document.getElementById('print-btn');
+  const dialog = document.getElementById('print-dialog');
+  const form = dialog?.querySelector('form');
+  let options = { ...PRINT_DEFAULTS };
+  let applied = [];
+
+  window.addEventListener('beforeprint', () => {
+    applied = printClasses(options);
+    document.documentElement.classList.add(...applied);
+  });
+  window.addEventListener('afterprint', () => {
+    document.documentElement.classList.remove(...applied);
+    applied = [];
+  });
+
+  if (!printBtn) {
+    return;
+  }
+  if (!form || typeof dialog.showModal !== 'function') {
+    printBtn.addEventListener('click', () => window.print());
+    return;
+  }
+
+  printBtn.addEventListener('click', () => {
+    writeOptions(form, options);
+    dialog.returnValue = '';
+    dialog.showModal();
+  });
+  dialog.addEventListener('close', () => {
+    if (dialog.returnValue !== 'print') {
+      return;
+    }
+    options = readOptions(form);
+    window.print();
+  });
+}
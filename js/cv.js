@@ -1,66 +1,217 @@
 /**
  * CV Page Entry Point — Initializes modules for cv.html
- * Print/download buttons, mobile nav, theme, i18n, animations.
+ * Resume content (optionally tailored with `?focus=`), print button with print options, download
+ * button (with PDF paper size and length), mobile nav, theme, i18n, animations.
  * @module cv
  */
 
 import { initTheme } from './theme.js';
-import { initI18n } from './i18n.js';
+import { getCurrentLang, getLanguage, initI18n, onLangChange, t } from './i18n.js';
+import { initResume, setResumeFilter } from './resume.js';
 import { initAnimations } from './animations.js';
 import { initCurrentPageNavLink, initMobileNav, updateCopyrightYear } from './utils.js';
 import { renderSiteNav } from './site-nav.js';
+import { assetHash, assetUrl } from './asset-url.js';
+import { focusPdfPath, focusResume, parseFocus } from './cv-focus.js';
+import { initPrintOptions } from './cv-print.js';
+import { DEFAULT_LENGTH, DEFAULT_PAPER, PDF_LENGTHS, PDF_PAPERS, getLength, getPaper, pdfVariantPath } from './pdf-variants.js';
 
 /* ── Constants ── */
-const PDF_FILENAME_BY_LANG = {
-  en: 'Joaquin-Noguera-CV-EN.pdf',
-  es: 'Joaquin-Noguera-CV-ES.pdf',
+const DOWNLOAD_BASENAME = 'joaquin-noguera-cv';
+const DOWNLOAD_FILENAME_PREFIX = 'Joaquin-Noguera-CV';
+/** Files produced by `npm run build:pdf` (pdf) and `npm run build:exports` (the rest). */
+const DOWNLOAD_FORMATS = {
+  pdf: { suffix: '.pdf', filenameSuffix: '.pdf' },
+  json: { suffix: '.json', filenameSuffix: '.json' },
+  md: { suffix: '.md', filenameSuffix: '.md' },
+  txt: { suffix: '-ats.txt', filenameSuffix: '-ATS.txt' },
+  html: { suffix: '-ats.html', filenameSuffix: '-ATS.html' },
 };
-const PDF_PATH_BY_LANG = {
-  en: 'assets/joaquin-noguera-cv-en.pdf',
-  es: 'assets/joaquin-noguera-cv-es.pdf',
-};
-/** Bust browser/CDN cache when the pre-built PDF is regenerated (`npm run build:pdf`). */
-const PDF_CACHE_BUST = '20260326a';
 
-/** Handles print button — opens the browser print dialog. */
-function initPrintButton() {
-  const printBtn = document.getElementById('print-btn');
-  if (printBtn) {
-    printBtn.addEventListener('click', () => window.print());
+/**
+ * Focus chips (`[data-cv-focus]`) and `?focus=backend,payments`: tailor the CV's bullets and skills
+ * to focus areas (js/cv-focus.js). A change re-renders the CV and updates the URL, so the tailored
+ * view can be printed or shared as a link.
+ * @returns {() => string[]} Reads the current focus
+ */
+function initFocus() {
+  let focus = parseFocus(new URLSearchParams(window.location.search).get('focus'));
+  const boxes = Array.from(document.querySelectorAll('[data-cv-focus] input[type="checkbox"]'));
+  const getFocus = () => focus;
+
+  boxes.forEach((box) => {
+    box.checked = focus.includes(box.value);
+    box.addEventListener('change', () => {
+      focus = parseFocus(boxes.filter((item) => item.checked).map((item) => item.value));
+      const url = new URL(window.location.href);
+      if (focus.length > 0) {
+        url.searchParams.set('focus', focus.join(','));
+      } else {
+        url.searchParams.delete('focus');
+      }
+      history.replaceState(null, '', url);
+      setResumeFilter((resume) => focusResume(resume, getFocus()));
+    });
+  });
+  return getFocus;
+}
+
+/**
+ * Whether `npm run build:pdf` has produced a PDF variant for a language (it is in js/asset-manifest.js).
+ * @param {{ pdf?: string }} language - Language manifest entry
+ * @param {string} paper - Paper key
+ * @param {string} length - Length key
+ * @returns {boolean}
+ */
+function isPdfBuilt(language, paper, length) {
+  return Boolean(language.pdf) && assetHash(pdfVariantPath(language.pdf, paper, length)) !== null;
+}
+
+/**
+ * Paper size and length pickers, shown while the download format is PDF. The choice is mirrored
+ * to `data-cv-paper` / `data-cv-length` on <html>, so Print CV uses the same layout (css/print.css);
+ * `?paper=` and `?length=` preselect it, which is how scripts/generate-pdf.js exports each variant.
+ * Options with no built file for the current language (in any combination) are disabled.
+ * @returns {() => { paper: string, length: string }} Reads the current choice
+ */
+function initPdfOptions() {
+  const params = new URLSearchParams(window.location.search);
+  const choice = { paper: getPaper(params.get('paper')).id, length: getLength(params.get('length')).id };
+  const formatSelect = document.getElementById('download-format');
+  const paperSelect = document.getElementById('download-paper');
+  const lengthSelect = document.getElementById('download-length');
+
+  const apply = () => {
+    document.documentElement.setAttribute('data-cv-paper', choice.paper);
+    document.documentElement.setAttribute('data-cv-length', choice.length);
+    if (!paperSelect || !lengthSelect) {
+      return;
+    }
+    const language = getLanguage(getCurrentLang());
+    paperSelect.value = choice.paper;
+    lengthSelect.value = choice.length;
+    Array.from(paperSelect.options).forEach((option) => {
+      option.disabled = option.value !== choice.paper
+        && !Object.keys(PDF_LENGTHS).some((length) => isPdfBuilt(language, option.value, length));
+    });
+    Array.from(lengthSelect.options).forEach((option) => {
+      option.disabled = option.value !== choice.length
+        && !Object.keys(PDF_PAPERS).some((paper) => isPdfBuilt(language, paper, option.value));
+    });
+    const isPdf = !formatSelect || formatSelect.value === 'pdf';
+    document.querySelectorAll('[data-pdf-option]').forEach((select) => {
+      select.hidden = !isPdf;
+    });
+  };
+
+  paperSelect?.addEventListener('change', () => {
+    choice.paper = getPaper(paperSelect.value).id;
+    apply();
+  });
+  lengthSelect?.addEventListener('change', () => {
+    choice.length = getLength(lengthSelect.value).id;
+    apply();
+  });
+  formatSelect?.addEventListener('change', apply);
+  onLangChange(apply);
+  apply();
+  return () => ({ ...choice });
+}
+
+/**
+ * The file a download gets in the current language. The PDF path comes from the language manifest
+ * (i18n/languages.json) and the chosen paper size and length (A4, full CV until that variant is
+ * built); with a focus, an A4 full CV uses the tailored PDF for it when one is built (see
+ * scripts/generate-pdf.js). Every other format and layout is the full CV.
+ * @param {string} format - Key of DOWNLOAD_FORMATS
+ * @param {{ paper: string, length: string }} picked - From {@link initPdfOptions}
+ * @param {string[]} focus - From {@link initFocus}
+ * @returns {{ href: string, fileName: string, untailored: boolean }} Asset path, download name, and
+ *   whether a chosen focus is left out of the file
+ */
+function resolveDownload(format, picked, focus) {
+  const language = getLanguage(getCurrentLang());
+  const lang = language.code;
+  const { suffix } = DOWNLOAD_FORMATS[format];
+  let { filenameSuffix } = DOWNLOAD_FORMATS[format];
+  let href = `assets/${DOWNLOAD_BASENAME}-${lang}${suffix}`;
+  let tailored = false;
+  if (format === 'pdf' && language.pdf) {
+    const { paper, length } = isPdfBuilt(language, picked.paper, picked.length)
+      ? picked
+      : { paper: DEFAULT_PAPER, length: DEFAULT_LENGTH };
+    href = pdfVariantPath(language.pdf, paper, length);
+    filenameSuffix = `${getPaper(paper).filenameSuffix}${getLength(length).filenameSuffix}${filenameSuffix}`;
+    const tailoredPath = focus.length > 0 ? focusPdfPath(focus, lang) : null;
+    if (tailoredPath && paper === DEFAULT_PAPER && length === DEFAULT_LENGTH && assetHash(tailoredPath) !== null) {
+      href = tailoredPath;
+      filenameSuffix = `-${focus.join('-')}${DOWNLOAD_FORMATS.pdf.filenameSuffix}`;
+      tailored = true;
+    }
   }
+  return {
+    href,
+    fileName: `${DOWNLOAD_FILENAME_PREFIX}-${lang.toUpperCase()}${filenameSuffix}`,
+    untailored: focus.length > 0 && !tailored,
+  };
 }
 
 /**
- * Handles download button — triggers download of the pre-generated PDF.
- * Creates a temporary link element to initiate the download.
+ * Handles download button — triggers download of the pre-generated file in the
+ * format chosen in `#download-format` (PDF by default), see {@link resolveDownload}.
+ * When a focus is chosen but that file is not tailored, `[data-download-note]` says so and
+ * points to Print CV, which prints the tailored view in any layout.
+ * The `?v=` content hash from js/asset-manifest.js keeps browsers from serving a stale file
+ * after a rebuild. Creates a temporary link element to initiate the download.
+ * @param {() => { paper: string, length: string }} getPdfChoice - From {@link initPdfOptions}
+ * @param {() => string[]} getFocus - From {@link initFocus}
  */
-function initDownloadButton() {
+function initDownloadButton(getPdfChoice, getFocus) {
   const downloadBtn = document.getElementById('download-btn');
+  const formatSelect = document.getElementById('download-format');
+  const note = document.querySelector('[data-download-note]');
+  const current = () => resolveDownload(
+    formatSelect && DOWNLOAD_FORMATS[formatSelect.value] ? formatSelect.value : 'pdf',
+    getPdfChoice(),
+    getFocus(),
+  );
+
+  const updateNote = () => {
+    if (note) {
+      note.textContent = current().untailored ? t('cv.download_untailored') : '';
+    }
+  };
+
   if (downloadBtn) {
     downloadBtn.addEventListener('click', () => {
-      const lang = document.documentElement.lang === 'es' ? 'es' : 'en';
-      const pdfPath = PDF_PATH_BY_LANG[lang];
-      const pdfFilename = PDF_FILENAME_BY_LANG[lang];
+      const { href, fileName } = current();
       const link = document.createElement('a');
-      link.href = `${pdfPath}?v=${PDF_CACHE_BUST}`;
-      link.download = pdfFilename;
+      link.href = assetUrl(href);
+      link.download = fileName;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
     });
   }
+  /* Runs after the pickers' and focus chips' own change handlers have stored the new choice */
+  document.querySelector('.cv__download')?.addEventListener('change', updateNote);
+  document.querySelector('[data-cv-focus]')?.addEventListener('change', updateNote);
+  onLangChange(updateNote);
+  updateNote();
 }
 
 /** Initializes all CV page modules and features. */
 async function init() {
   renderSiteNav('cv');
   initTheme();
+  const getFocus = initFocus();
+  await initResume({ filter: (resume) => focusResume(resume, getFocus()) });
   await initI18n();
   initAnimations();
   initMobileNav();
   initCurrentPageNavLink();
-  initPrintButton();
-  initDownloadButton();
+  initPrintOptions();
+  initDownloadButton(initPdfOptions(), getFocus);
   updateCopyrightYear();
 }
 
@@ -0,0 +1,131 @@
+/**
+ * Date Formatting — localized periods, durations and experience totals for resume dates.
+ * Dates are ISO 8601 prefixes as in JSON Resume: "2022-04" (month) or "2017" (year).
+ * Month/year labels come from `Intl.DateTimeFormat`, "started … ago" hints from
+ * `Intl.RelativeTimeFormat`; duration units ("4 yrs 6 mos") are ICU plurals in i18n/<lang>.json.
+ * @module dates
+ */
+
+import { t } from './i18n.js';
+
+const MONTHS_PER_YEAR = 12;
+
+/** @type {Object<string, Intl.DateTimeFormat>} Formatters keyed by "lang:precision" */
+const dateFormatCache = {};
+
+/**
+ * Parses an ISO date prefix into a year and optional 0-based month.
+ * @param {string} iso - "YYYY", "YYYY-MM" or "YYYY-MM-DD"
+ * @returns {{ year: number, month: number|null }|null} Parsed date, or null when invalid
+ */
+export function parseIsoDate(iso) {
+  const match = /^(\d{4})(?:-(\d{2}))?/.exec(iso || '');
+  if (!match) {
+    return null;
+  }
+  return { year: Number(match[1]), month: match[2] ? Number(match[2]) - 1 : null };
+}
+
+/**
+ * Whole months covered by a role, counting both the start and end month.
+ * A missing end date means the role is ongoing.
+ * @param {string} startDate - ISO start
+ * @param {string} [endDate] - ISO end (omit for ongoing)
+ * @param {Date} [now] - Reference date for ongoing roles
+ * @returns {number} Month count (0 when the start is invalid)
+ */
+export function monthsBetween(startDate, endDate, now = new Date()) {
+  const start = parseIsoDate(startDate);
+  if (!start) {
+    return 0;
+  }
+  const end = parseIsoDate(endDate) || { year: now.getFullYear(), month: now.getMonth() };
+  const months = (end.year - start.year) * MONTHS_PER_YEAR
+    + ((end.month ?? MONTHS_PER_YEAR - 1) - (start.month ?? 0)) + 1;
+  return Math.max(months, 0);
+}
+
+/**
+ * Formats one ISO date as "Apr 2022" / "abr 2022", or just the year when no month is given.
+ * @param {string} iso - ISO date prefix
+ * @param {string} lang - Language code
+ * @returns {string} Localized date ('' when invalid)
+ */
+export function formatDate(iso, lang) {
+  const date = parseIsoDate(iso);
+  if (!date) {
+    return '';
+  }
+  const precision = date.month === null ? 'year' : 'month';
+  const cacheKey = `${lang}:${precision}`;
+  if (!dateFormatCache[cacheKey]) {
+    dateFormatCache[cacheKey] = new Intl.DateTimeFormat(lang, precision === 'year'
+      ? { year: 'numeric', timeZone: 'UTC' }
+      : { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+  return dateFormatCache[cacheKey].format(new Date(Date.UTC(date.year, date.month ?? 0, 1)));
+}
+
+/**
+ * Formats a month count as "4 yrs 6 mos" using the translation file's unit plurals.
+ * @param {number} months - Whole months
+ * @param {string} lang - Language code
+ * @returns {string} Localized duration
+ */
+export function formatDuration(months, lang) {
+  const years = Math.floor(months / MONTHS_PER_YEAR);
+  const rest = months % MONTHS_PER_YEAR;
+  const parts = [
+    years > 0 ? t('experience.duration_years', { count: years }) : '',
+    rest > 0 || years === 0 ? t('experience.duration_months', { count: rest }) : '',
+  ].filter(Boolean);
+  return new Intl.ListFormat(lang, { type: 'unit', style: 'narrow' }).format(parts);
+}
+
+/**
+ * Relative hint for a start date, e.g. "4 years ago" / "hace 4 años".
+ * @param {string} startDate - ISO start
+ * @param {string} lang - Language code
+ * @param {Date} [now] - Reference date
+ * @returns {string} Localized relative time
+ */
+export function formatSince(startDate, lang, now = new Date()) {
+  const elapsed = monthsBetween(startDate, null, now) - 1;
+  const rtf = new Intl.RelativeTimeFormat(lang, { numeric: 'auto' });
+  return elapsed >= MONTHS_PER_YEAR
+    ? rtf.format(-Math.floor(elapsed / MONTHS_PER_YEAR), 'year')
+    : rtf.format(-elapsed, 'month');
+}
+
+/**
+ * Distinct months covered by any of the roles, so overlapping roles are not double-counted
+ * and gaps are left out.
+ * @param {Array<{ startDate?: string, endDate?: string }>} work - Roles
+ * @param {Date} [now] - Reference date for ongoing roles
+ * @returns {number} Month count
+ */
+export function coveredMonths(work, now = new Date()) {
+  const covered = new Set();
+  (work || []).forEach(({ startDate, endDate }) => {
+    const start = parseIsoDate(startDate);
+    if (!start) {
+      return;
+    }
+    const first = start.year * MONTHS_PER_YEAR + (start.month ?? 0);
+    const count = monthsBetween(startDate, endDate, now);
+    for (let i = 0; i < count; i++) {
+      covered.add(first + i);
+    }
+  });
+  return covered.size;
+}
+
+/**
+ * Whole years of professional experience (see {@link coveredMonths}).
+ * @param {Array<{ startDate?: string, endDate?: string }>} work - Roles
+ * @param {Date} [now] - Reference date for ongoing roles
+ * @returns {number} Completed years
+ */
+export function totalExperienceYears(work, now = new Date()) {
+  return Math.floor(coveredMonths(work, now) / MONTHS_PER_YEAR);
+}
@@ -0,0 +1,124 @@
+/**
+ * Code Rain Effect — columns of falling code glyphs built from the `{ J }` brand mark
+ * Each column is one drop: a bright accent head with a fading trail above it. Trails are drawn
+ * explicitly (no translucent overdraw), so the canvas stays transparent over the page background.
+ * Columns under any pointer fall faster; tap pulses draw a ripple ring. No DOM access.
+ * @module effect-code-rain
+ */
+
+import { createRandom } from './random.js';
+import { createPulses } from './pointer-forces.js';
+import { DEFAULT_PARTICLE_COLORS } from './particle-field.js';
+
+const GLYPHS = '{J}</>;=()[]01';
+const FONT_SIZE = 14;
+const FONT = `${FONT_SIZE}px 'JetBrains Mono', 'Fira Code', monospace`;
+/** Columns sit 1.5 glyphs apart so the rain reads as texture, not a wall of text. */
+const COLUMN_SPACING = 1.5;
+const TRAIL_MIN = 6;
+const TRAIL_RANGE = 12;
+const SPEED_MIN = 0.08;
+const SPEED_RANGE = 0.18;
+const RAIN_OPACITY = 0.35;
+const HEAD_OPACITY = 0.8;
+/** Chance per glyph per frame of flickering to another character. */
+const MUTATE_CHANCE = 0.01;
+const POINTER_RADIUS = 80;
+const POINTER_SPEEDUP = 3;
+
+/**
+ * Creates the code-rain effect (same interface as js/particle-field.js).
+ * @param {import('./effects.js').EffectOptions} options - Seed (density comes from the glyph grid)
+ * @returns {import('./effects.js').ParticleEffect}
+ */
+export function createCodeRain({ seed = null }) {
+  let random = Math.random;
+  let width = 1;
+  let height = 1;
+  let rows = 1;
+  let columns = [];
+  let colors = DEFAULT_PARTICLE_COLORS;
+  /** @type {import('./pointer-forces.js').ParticlePointer[]} */
+  let pointers = [];
+  const pulses = createPulses();
+
+  function randomGlyph() {
+    return GLYPHS[Math.floor(random() * GLYPHS.length)];
+  }
+
+  /**
+   * Starts a column's drop above the top edge, or anywhere on screen for the first layout.
+   * @param {object} column - Column state
+   * @param {boolean} scatter - Spread heads over the whole height (first frame looks mid-storm)
+   */
+  function restart(column, scatter) {
+    column.trail = TRAIL_MIN + Math.floor(random() * TRAIL_RANGE);
+    column.speed = SPEED_MIN + random() * SPEED_RANGE;
+    column.head = scatter ? random() * (rows + column.trail) : -random() * rows;
+  }
+
+  function step() {
+    pulses.step();
+    columns.forEach((column) => {
+      const nearPointer = pointers.some((pointer) => Math.abs(column.x - pointer.x) < POINTER_RADIUS);
+      column.head += column.speed * (nearPointer ? POINTER_SPEEDUP : 1);
+      if (column.head - column.trail > rows) {
+        restart(column, false);
+      }
+      for (let row = 0; row < rows; row++) {
+        if (random() < MUTATE_CHANCE) {
+          column.glyphs[row] = randomGlyph();
+        }
+      }
+    });
+  }
+
+  function draw(ctx) {
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = FONT;
+    ctx.textBaseline = 'top';
+    columns.forEach((column) => {
+      const headRow = Math.floor(column.head);
+      for (let k = 0; k < column.trail; k++) {
+        const row = headRow - k;
+        if (row < 0 || row >= rows) {
+          continue;
+        }
+        const isHead = k === 0;
+        ctx.fillStyle = isHead ? colors.accent : colors.dot;
+        ctx.globalAlpha = isHead ? HEAD_OPACITY : RAIN_OPACITY * (1 - k / column.trail);
+        ctx.fillText(column.glyphs[row], column.x, row * FONT_SIZE);
+      }
+    });
+    ctx.globalAlpha = 1;
+    pulses.draw(ctx, colors.accent);
+  }
+
+  return {
+    resize(nextWidth, nextHeight) {
+      width = Math.max(1, nextWidth);
+      height = Math.max(1, nextHeight);
+      random = seed === null ? Math.random : createRandom(seed);
+      rows = Math.ceil(height / FONT_SIZE);
+      const spacing = FONT_SIZE * COLUMN_SPACING;
+      const count = Math.ceil(width / spacing);
+      columns = Array.from({ length: count }, (_, index) => {
+        const column = { x: index * spacing, glyphs: Array.from({ length: rows }, randomGlyph) };
+        restart(column, true);
+        return column;
+      });
+    },
+    setPointers(next) {
+      pointers = next;
+    },
+    pulse: pulses.add,
+    setColors(next) {
+      colors = next;
+    },
+    frame(ctx) {
+      step();
+      draw(ctx);
+    },
+    render: draw,
+  };
+}
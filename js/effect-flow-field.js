@@ -0,0 +1,147 @@
+/**
+ * Flow Field Effect — particles drift along a slowly changing angle field, leaving short trails
+ * The field is a sum of sines (no noise library): smooth, cheap and deterministic for a seed.
+ * A few trails use the accent color; pointers push or pull particles and tap pulses sweep them
+ * outward (js/pointer-forces.js). No DOM access.
+ * @module effect-flow-field
+ */
+
+import { createRandom } from './random.js';
+import { addPointerForce, createPulses } from './pointer-forces.js';
+import { DEFAULT_PARTICLE_COLORS } from './particle-field.js';
+
+/** Flow particles are thin, so the page's particle budget is doubled. */
+const DENSITY_MULTIPLIER = 2;
+const MIN_PARTICLE_COUNT = 16;
+const TRAIL_LENGTH = 14;
+/** A trail needs two points (four coordinates) to draw a segment. */
+const MIN_TRAIL_COORDS = 4;
+const FLOW_SPEED = 0.6;
+const FIELD_SCALE = 0.004;
+const FIELD_DRIFT = 0.7;
+const TIME_STEP = 0.002;
+const LIFE_MIN = 120;
+const LIFE_RANGE = 240;
+const TRAIL_OPACITY = 0.45;
+const LINE_WIDTH = 1;
+/** Every Nth trail is drawn in the accent color. */
+const ACCENT_EVERY = 7;
+const POINTER_RADIUS = 140;
+const POINTER_PUSH = 2;
+
+/**
+ * Direction of the field at a point, in radians.
+ * @param {number} x - Logical x
+ * @param {number} y - Logical y
+ * @param {number} time - Field time
+ * @returns {number} Angle
+ */
+function flowAngle(x, y, time) {
+  return (Math.sin(x * FIELD_SCALE + time) + Math.cos(y * FIELD_SCALE - time * FIELD_DRIFT)) * Math.PI;
+}
+
+/**
+ * Creates the flow-field effect (same interface as js/particle-field.js).
+ * @param {import('./effects.js').EffectOptions} options - Density, cap and seed
+ * @returns {import('./effects.js').ParticleEffect}
+ */
+export function createFlowField({ pixelsPerParticle, maxParticles, seed = null }) {
+  let random = Math.random;
+  let width = 1;
+  let height = 1;
+  let time = 0;
+  let particles = [];
+  let colors = DEFAULT_PARTICLE_COLORS;
+  /** @type {import('./pointer-forces.js').ParticlePointer[]} */
+  let pointers = [];
+  const pulses = createPulses();
+  const force = { x: 0, y: 0 };
+
+  /** Places a particle at a random point with an empty trail. */
+  function spawn(p) {
+    p.x = random() * width;
+    p.y = random() * height;
+    p.age = 0;
+    p.life = LIFE_MIN + random() * LIFE_RANGE;
+    p.trail.length = 0;
+    return p;
+  }
+
+  function step() {
+    time += TIME_STEP;
+    pulses.step();
+    particles.forEach((p) => {
+      const angle = flowAngle(p.x, p.y, time);
+      force.x = Math.cos(angle) * FLOW_SPEED;
+      force.y = Math.sin(angle) * FLOW_SPEED;
+      addPointerForce(p.x, p.y, pointers, POINTER_RADIUS, POINTER_PUSH, force);
+      pulses.addForce(p.x, p.y, force);
+      p.x += force.x;
+      p.y += force.y;
+
+      p.trail.push(p.x, p.y);
+      if (p.trail.length > TRAIL_LENGTH * 2) {
+        p.trail.splice(0, 2);
+      }
+
+      p.age++;
+      if (p.age > p.life || p.x < 0 || p.x > width || p.y < 0 || p.y > height) {
+        spawn(p);
+      }
+    });
+  }
+
+  /** Strokes all trails of one color as a single path. */
+  function strokeTrails(ctx, color, accent) {
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    particles.forEach((p, index) => {
+      if ((index % ACCENT_EVERY === 0) !== accent || p.trail.length < MIN_TRAIL_COORDS) {
+        return;
+      }
+      ctx.moveTo(p.trail[0], p.trail[1]);
+      for (let k = 2; k < p.trail.length; k += 2) {
+        ctx.lineTo(p.trail[k], p.trail[k + 1]);
+      }
+    });
+    ctx.stroke();
+  }
+
+  function draw(ctx) {
+    ctx.clearRect(0, 0, width, height);
+    ctx.globalAlpha = TRAIL_OPACITY;
+    ctx.lineWidth = LINE_WIDTH;
+    strokeTrails(ctx, colors.dot, false);
+    strokeTrails(ctx, colors.accent, true);
+    ctx.globalAlpha = 1;
+    pulses.draw(ctx, colors.accent);
+  }
+
+  return {
+    resize(nextWidth, nextHeight) {
+      width = Math.max(1, nextWidth);
+      height = Math.max(1, nextHeight);
+      random = seed === null ? Math.random : createRandom(seed);
+      time = 0;
+      const raw = Math.floor((width * height * DENSITY_MULTIPLIER) / pixelsPerParticle);
+      const count = Math.min(maxParticles * DENSITY_MULTIPLIER, Math.max(raw, MIN_PARTICLE_COUNT));
+      particles = Array.from({ length: count }, () => spawn({ trail: [] }));
+      /* Grow trails up front so the first (or only, when frozen) frame is not empty. */
+      for (let i = 0; i < TRAIL_LENGTH; i++) {
+        step();
+      }
+    },
+    setPointers(next) {
+      pointers = next;
+    },
+    pulse: pulses.add,
+    setColors(next) {
+      colors = next;
+    },
+    frame(ctx) {
+      step();
+      draw(ctx);
+    },
+    render: draw,
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Gradient Mesh Effect — a few large, soft color blobs drifting on slow Lissajous orbits
+ * Blobs alternate between the accent and particle colors at low opacity, so text on top keeps
+ * its contrast. Motion is slow enough to sit behind reading content; pointers nudge nearby blobs
+ * (a hovering mouse pushes them aside, a press draws them in, js/pointer-forces.js) and ease them
+ * back when they leave, and tap pulses draw a ripple ring.
+ * No DOM access.
+ * @module effect-gradient-mesh
+ */
+
+import { createRandom } from './random.js';
+import { addPointerForce, createPulses } from './pointer-forces.js';
+import { DEFAULT_PARTICLE_COLORS } from './particle-field.js';
+
+const BLOB_COUNT = 5;
+const MESH_OPACITY = 0.16;
+const TIME_STEP = 0.0015;
+/** Blob radius as a fraction of the longer side. */
+const RADIUS_MIN = 0.3;
+const RADIUS_RANGE = 0.3;
+/** Orbit size as a fraction of width/height. */
+const ORBIT_MIN = 0.05;
+const ORBIT_RANGE = 0.15;
+const SPEED_MIN = 0.5;
+const SPEED_RANGE = 1;
+const FULL_CIRCLE = Math.PI * 2;
+/** Pointer reach as a fraction of the longer side, and the furthest a blob is nudged (px). */
+const POINTER_RADIUS = 0.4;
+const POINTER_SHIFT = 80;
+/** Fraction of the remaining nudge applied per frame, so blobs glide rather than jump. */
+const POINTER_EASE = 0.04;
+
+/**
+ * Creates the gradient-mesh effect (same interface as js/particle-field.js).
+ * @param {import('./effects.js').EffectOptions} options - Seed (blob count is fixed)
+ * @returns {import('./effects.js').ParticleEffect}
+ */
+export function createGradientMesh({ seed = null }) {
+  let width = 1;
+  let height = 1;
+  let time = 0;
+  let blobs = [];
+  let colors = DEFAULT_PARTICLE_COLORS;
+  /** @type {import('./pointer-forces.js').ParticlePointer[]} */
+  let pointers = [];
+  const pulses = createPulses();
+  const force = { x: 0, y: 0 };
+
+  /** Orbit position of a blob at the current time, before any pointer nudge. */
+  function orbitCenter(blob) {
+    return {
+      x: (blob.anchorX + Math.cos(time * blob.speedX + blob.phase) * blob.orbitX) * width,
+      y: (blob.anchorY + Math.sin(time * blob.speedY + blob.phase) * blob.orbitY) * height,
+    };
+  }
+
+  /** Eases each blob's nudge toward the pull or push of the active pointers. */
+  function updateNudges() {
+    const radius = POINTER_RADIUS * Math.max(width, height);
+    blobs.forEach((blob) => {
+      const center = orbitCenter(blob);
+      force.x = 0;
+      force.y = 0;
+      addPointerForce(center.x, center.y, pointers, radius, POINTER_SHIFT, force);
+      blob.nudgeX += (force.x - blob.nudgeX) * POINTER_EASE;
+      blob.nudgeY += (force.y - blob.nudgeY) * POINTER_EASE;
+    });
+  }
+
+  function draw(ctx) {
+    ctx.clearRect(0, 0, width, height);
+    ctx.globalAlpha = MESH_OPACITY;
+    const longSide = Math.max(width, height);
+    blobs.forEach((blob, index) => {
+      const center = orbitCenter(blob);
+      const x = center.x + blob.nudgeX;
+      const y = center.y + blob.nudgeY;
+      const radius = blob.radius * longSide;
+      const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+      gradient.addColorStop(0, index % 2 === 0 ? colors.accent : colors.dot);
+      gradient.addColorStop(1, 'transparent');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, width, height);
+    });
+    ctx.globalAlpha = 1;
+    pulses.draw(ctx, colors.accent);
+  }
+
+  return {
+    resize(nextWidth, nextHeight) {
+      width = Math.max(1, nextWidth);
+      height = Math.max(1, nextHeight);
+      const random = seed === null ? Math.random : createRandom(seed);
+      time = 0;
+      blobs = Array.from({ length: BLOB_COUNT }, () => ({
+        anchorX: random(),
+        anchorY: random(),
+        orbitX: ORBIT_MIN + random() * ORBIT_RANGE,
+        orbitY: ORBIT_MIN + random() * ORBIT_RANGE,
+        speedX: SPEED_MIN + random() * SPEED_RANGE,
+        speedY: SPEED_MIN + random() * SPEED_RANGE,
+        phase: random() * FULL_CIRCLE,
+        radius: RADIUS_MIN + random() * RADIUS_RANGE,
+        nudgeX: 0,
+        nudgeY: 0,
+      }));
+    },
+    setPointers(next) {
+      pointers = next;
+    },
+    pulse: pulses.add,
+    setColors(next) {
+      colors = next;
+    },
+    frame(ctx) {
+      time += TIME_STEP;
+      pulses.step();
+      updateNudges();
+      draw(ctx);
+    },
+    render: draw,
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Background Effects — registry of canvas effects the particle system can run
+ * Every effect is a DOM-free factory with the interface below, so the same registry serves the
+ * main-thread renderer and the OffscreenCanvas worker. The host (js/particles.js) owns sizing,
+ * DPR, palette, Pointer Events, visibility pausing and reduced motion; effects only simulate and
+ * draw (shared pointer/pulse physics live in js/pointer-forces.js).
+ * To add one, write a factory module and list it in EFFECTS.
+ * @module effects
+ */
+
+import { createParticleField } from './particle-field.js';
+import { createFlowField } from './effect-flow-field.js';
+import { createCodeRain } from './effect-code-rain.js';
+import { createGradientMesh } from './effect-gradient-mesh.js';
+
+/**
+ * @typedef {{ pixelsPerParticle: number, maxParticles: number, seed?: number|null }} EffectOptions
+ * @typedef {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} EffectContext
+ */
+
+/**
+ * @typedef {Object} ParticleEffect
+ * @property {(width: number, height: number) => void} resize - Sets the logical size and re-seeds the layout
+ * @property {(pointers: import('./pointer-forces.js').ParticlePointer[]) => void} setPointers - Active pointers in logical pixels
+ * @property {(x: number, y: number) => void} pulse - Starts a tap ripple at a logical point
+ * @property {(colors: import('./particle-field.js').ParticleColors) => void} setColors - Theme palette
+ * @property {(ctx: EffectContext) => void} frame - Advances one step and draws it
+ * @property {(ctx: EffectContext) => void} render - Draws the current state without advancing (freeze frame)
+ */
+
+export const DEFAULT_EFFECT = 'constellation';
+
+/** @type {Object<string, (options: EffectOptions) => ParticleEffect>} */
+const EFFECTS = {
+  constellation: createParticleField,
+  'flow-field': createFlowField,
+  'code-rain': createCodeRain,
+  'gradient-mesh': createGradientMesh,
+};
+
+/**
+ * @param {string|null|undefined} name - Candidate effect name
+ * @returns {boolean} Whether the registry has it
+ */
+export function isEffect(name) {
+  return typeof name === 'string' && Object.hasOwn(EFFECTS, name);
+}
+
+/**
+ * Creates an effect by name, falling back to the default for unknown names.
+ * @param {string} name - Effect name
+ * @param {EffectOptions} options - Density, cap and seed
+ * @returns {ParticleEffect}
+ */
+export function createEffect(name, options) {
+  return EFFECTS[isEffect(name) ? name : DEFAULT_EFFECT](options);
+}
@@ -1,11 +1,13 @@
 /**
  * Homepage Entry Point — Initializes all modules for index.html
- * Typing animation, mobile nav, smooth scroll.
+ * Resume content, skill-to-experience links, typing animation, mobile nav, smooth scroll.
  * @module home
  */
 
 import { initTheme } from './theme.js';
 import { initI18n, onLangChange } from './i18n.js';
+import { initResume } from './resume.js';
+import { initSkillLinks } from './skill-links.js';
 import { initParticles } from './particles.js';
 import { initAnimations } from './animations.js';
 import { initMobileNav, updateCopyrightYear } from './utils.js';
@@ -115,6 +117,7 @@ function initSmoothScroll() {
 async function init() {
   renderSiteNav('home');
   initTheme();
+  initSkillLinks(await initResume());
   await initI18n();
   initParticles();
   initAnimations();
@@ -1,16 +1,48 @@
 /**
- * Internationalization Module — EN/ES language switching
- * Loads translations from JSON files, swaps text via data-i18n attributes.
+ * Internationalization Module — manifest-driven language switching
+ * Available languages (code, native name, direction, PDF path) come from i18n/languages.json,
+ * so adding a language is a data change: a manifest entry plus i18n/<code>.json, then
+ * npm run build:langs to copy the codes into the pages' head scripts.
+ * Loads translations from JSON files, swaps UI chrome text via data-i18n attributes.
+ * Keys resolve in layers: requested language → default language → the markup's own text.
+ * Elements showing a fallback carry `data-i18n-missing`; missing keys are reported in the
+ * console in dev mode (localhost or ?i18n-debug) and outlined on the page with
+ * ?i18n-debug=highlight. getMissingKeys() lists the keys for the current language.
+ * Resume content (roles, skills, testimonials, contact) is rendered by js/resume.js.
+ * Strings may use ICU-style placeholders, plurals and selects (see js/message-format.js),
+ * filled from `t(key, params)` or a JSON `data-i18n-params` attribute in markup.
  * Persists preference in localStorage, supports ?lang= URL parameter.
  * @module i18n
  */
 
+import { formatMessage } from './message-format.js';
+import { assetHash, assetUrl } from './asset-url.js';
+import { initNavMenu, updateNavMenu } from './nav-menu.js';
+
 const STORAGE_KEY = 'jcv-lang';
 const CACHE_PREFIX = 'jcv-i18n-cache-';
 const CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
-const CACHE_VERSION = '2026-03-22-28';
+const MANIFEST_URL = 'i18n/languages.json';
 const DEFAULT_LANG = 'en';
-const SUPPORTED_LANGS = ['en', 'es'];
+const DEBUG_PARAM = 'i18n-debug';
+const DEV_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * @typedef {Object} LanguageEntry
+ * @property {string} code - ISO 639-1 code, e.g. "es"
+ * @property {string} name - Native name shown in the picker, e.g. "Español"
+ * @property {'ltr'|'rtl'} dir - Text direction applied to <html dir>
+ * @property {string} [pdf] - Pre-built CV PDF for this language
+ */
+
+/** @type {{ default: string, languages: LanguageEntry[] }} Used when the manifest cannot be loaded */
+const FALLBACK_MANIFEST = {
+  default: DEFAULT_LANG,
+  languages: [{ code: DEFAULT_LANG, name: 'English', dir: 'ltr' }],
+};
+
+/** @type {{ default: string, languages: LanguageEntry[] }} Loaded language manifest */
+let manifest = FALLBACK_MANIFEST;
 
 /** @type {Object<string, Object>} Cache of loaded translation data */
 const translationCache = {};
@@ -21,6 +53,9 @@ let currentLang = DEFAULT_LANG;
 /** @type {Function[]} Callbacks invoked after every language switch */
 const langChangeCallbacks = [];
 
+/** @type {Map<string, string>} Keys missing in the current language → layer that supplied them */
+const missingKeys = new Map();
+
 /**
  * Resolves a nested key path (e.g., "hero.title") from an object.
  * @param {Object} obj - The translations object
@@ -36,28 +71,64 @@ function resolveKey(obj, path) {
   }, obj);
 }
 
+/**
+ * Loads the language manifest once; falls back to English-only on failure.
+ * @returns {Promise<void>}
+ */
+async function loadManifest() {
+  try {
+    const response = await fetch(assetUrl(MANIFEST_URL), { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Failed to load languages.json: ${response.status}`);
+    }
+    const data = await response.json();
+    if (data && Array.isArray(data.languages) && data.languages.length > 0) {
+      manifest = {
+        default: data.default || data.languages[0].code,
+        languages: data.languages.map((entry) => ({ dir: 'ltr', ...entry })),
+      };
+    }
+  } catch (_error) {
+    manifest = FALLBACK_MANIFEST;
+  }
+}
+
+/**
+ * Whether a language code is listed in the manifest.
+ * @param {string|null} lang - Language code
+ * @returns {boolean}
+ */
+function isSupported(lang) {
+  return manifest.languages.some((entry) => entry.code === lang);
+}
+
 /**
  * Determines the initial language from URL param, localStorage, or browser.
- * @returns {string} Language code ('en' or 'es')
+ * @returns {string} A language code listed in the manifest
  */
 function getInitialLang() {
   const urlParams = new URLSearchParams(window.location.search);
   const urlLang = urlParams.get('lang');
-  if (urlLang && SUPPORTED_LANGS.includes(urlLang)) {
+  if (isSupported(urlLang)) {
     return urlLang;
   }
 
-  const stored = localStorage.getItem(STORAGE_KEY);
-  if (stored && SUPPORTED_LANGS.includes(stored)) {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(STORAGE_KEY);
+  } catch (_error) {
+    stored = null;
+  }
+  if (isSupported(stored)) {
     return stored;
   }
 
-  const browserLang = navigator.language.slice(0, 2);
-  if (SUPPORTED_LANGS.includes(browserLang)) {
+  const browserLang = (navigator.language || '').slice(0, 2);
+  if (isSupported(browserLang)) {
     return browserLang;
   }
 
-  return DEFAULT_LANG;
+  return manifest.default;
 }
 
 /**
@@ -72,6 +143,9 @@ async function loadTranslations(lang) {
   }
 
   const cacheKey = `${CACHE_PREFIX}${lang}`;
+  const path = `i18n/${lang}.json`;
+  /* The file's content hash: edited translations never match an older cached copy. */
+  const version = assetHash(path);
   let cached;
   let staleFallback = null;
   try {
@@ -92,7 +166,7 @@ async function loadTranslations(lang) {
         typeof parsed.version === 'string'
       ) {
         const isExpired = (Date.now() - parsed.cachedAt) > CACHE_TTL_MS;
-        const isSameVersion = parsed.version === CACHE_VERSION;
+        const isSameVersion = version !== null && parsed.version === version;
 
         if (!isExpired && isSameVersion) {
           translationCache[lang] = parsed.data;
@@ -121,21 +195,24 @@ async function loadTranslations(lang) {
   }
 
   try {
-    const response = await fetch(`i18n/${lang}.json?v=${CACHE_VERSION}`, { cache: 'no-cache' });
+    const response = await fetch(assetUrl(path), { cache: 'no-cache' });
     if (!response.ok) {
       throw new Error(`Failed to load ${lang}.json: ${response.status}`);
     }
     const data = await response.json();
     translationCache[lang] = data;
-    try {
-      const wrappedCache = {
-        version: CACHE_VERSION,
-        cachedAt: Date.now(),
-        data,
-      };
-      localStorage.setItem(cacheKey, JSON.stringify(wrappedCache));
-    } catch (_error) {
-      /* Ignore cache write failures (quota/privacy mode) */
+    /* Without a hash (manifest not rebuilt yet) there is no safe version to cache under. */
+    if (version !== null) {
+      try {
+        const wrappedCache = {
+          version,
+          cachedAt: Date.now(),
+          data,
+        };
+        localStorage.setItem(cacheKey, JSON.stringify(wrappedCache));
+      } catch (_error) {
+        /* Ignore cache write failures (quota/privacy mode) */
+      }
     }
     return data;
   } catch (error) {
@@ -143,46 +220,102 @@ async function loadTranslations(lang) {
       translationCache[lang] = staleFallback;
       return staleFallback;
     }
-    if (lang !== DEFAULT_LANG) {
-      return loadTranslations(DEFAULT_LANG);
+    if (lang !== manifest.default) {
+      return loadTranslations(manifest.default);
     }
     return {};
   }
 }
 
+/**
+ * Reads ICU placeholder values from an element's `data-i18n-params` JSON attribute.
+ * @param {Element} el - Translated element
+ * @returns {Object} Parameters (empty when absent or invalid)
+ */
+function readParams(el) {
+  const raw = el.getAttribute('data-i18n-params');
+  if (!raw) {
+    return {};
+  }
+  try {
+    const params = JSON.parse(raw);
+    return params && typeof params === 'object' ? params : {};
+  } catch (_error) {
+    return {};
+  }
+}
+
+/**
+ * Looks a key up in the current language, then the default language.
+ * Misses are recorded in `missingKeys` with the layer that filled the gap.
+ * @param {string} key - Dot-separated key path
+ * @returns {*} The resolved value, or undefined when both layers miss (markup wins)
+ */
+function lookup(key) {
+  const value = resolveKey(translationCache[currentLang], key);
+  if (value !== undefined) {
+    return value;
+  }
+
+  const fallback = currentLang === manifest.default
+    ? undefined
+    : resolveKey(translationCache[manifest.default], key);
+  missingKeys.set(key, fallback === undefined ? 'markup' : manifest.default);
+  return fallback;
+}
+
+/**
+ * Resolves and formats a key for an element, honoring its `data-i18n-params`.
+ * Elements with a missing key get a `data-i18n-missing` attribute listing those keys.
+ * @param {Element} el - Translated element
+ * @param {string} key - Dot-separated key path
+ * @returns {string|undefined} Formatted value, or undefined when missing in every layer
+ */
+function translateFor(el, key) {
+  const value = lookup(key);
+  if (missingKeys.has(key)) {
+    const marked = el.getAttribute('data-i18n-missing');
+    el.setAttribute('data-i18n-missing', marked ? `${marked} ${key}` : key);
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return formatMessage(value, readParams(el), currentLang);
+}
+
 /**
  * Applies translations to all elements with data-i18n attributes.
  * Supports textContent via data-i18n and attribute translation via data-i18n-[attr].
- * @param {Object} translations - The translation data object
+ * Keys missing in every layer leave the element's markup untouched.
  */
-function applyTranslations(translations) {
+function applyTranslations() {
+  document.querySelectorAll('[data-i18n-missing]').forEach((el) => {
+    el.removeAttribute('data-i18n-missing');
+  });
+
   document.querySelectorAll('[data-i18n]').forEach((el) => {
-    const key = el.getAttribute('data-i18n');
-    const value = resolveKey(translations, key);
+    const value = translateFor(el, el.getAttribute('data-i18n'));
     if (value !== undefined) {
       el.textContent = value;
     }
   });
 
   document.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
-    const key = el.getAttribute('data-i18n-placeholder');
-    const value = resolveKey(translations, key);
+    const value = translateFor(el, el.getAttribute('data-i18n-placeholder'));
     if (value !== undefined) {
       el.setAttribute('placeholder', value);
     }
   });
 
   document.querySelectorAll('[data-i18n-aria]').forEach((el) => {
-    const key = el.getAttribute('data-i18n-aria');
-    const value = resolveKey(translations, key);
+    const value = translateFor(el, el.getAttribute('data-i18n-aria'));
     if (value !== undefined) {
       el.setAttribute('aria-label', value);
     }
   });
 
   document.querySelectorAll('[data-i18n-html]').forEach((el) => {
-    const key = el.getAttribute('data-i18n-html');
-    const value = resolveKey(translations, key);
+    const value = translateFor(el, el.getAttribute('data-i18n-html'));
     if (value !== undefined) {
       el.innerHTML = value;
     }
@@ -190,27 +323,61 @@ function applyTranslations(translations) {
 }
 
 /**
- * Updates the language toggle button label.
+ * Formats a key through the layered lookup for the active language.
+ * @param {string} key - Dot-separated key path
+ * @param {Object} params - Placeholder values
+ * @returns {string|undefined} Formatted text, or undefined when missing
  */
-function updateToggleLabel() {
-  const toggleButtons = document.querySelectorAll('[data-lang-toggle]');
-  toggleButtons.forEach((btn) => {
-    const label = btn.querySelector('span');
-    if (label) {
-      label.textContent = currentLang.toUpperCase();
-    }
-    btn.setAttribute('aria-label',
-      currentLang === 'en' ? 'Cambiar a español' : 'Switch to English'
-    );
+function formatKey(key, params) {
+  const value = lookup(key);
+  return typeof value === 'string' ? formatMessage(value, params, currentLang) : undefined;
+}
+
+/**
+ * Reflects the active language on every nav picker.
+ */
+function updatePickers() {
+  const language = getLanguage(currentLang).name;
+  const label = formatKey('nav.language_picker', { language }) || language;
+  document.querySelectorAll('[data-lang-picker]').forEach((picker) => {
+    updateNavMenu(picker, { current: currentLang, label, badge: currentLang.toUpperCase() });
   });
 }
 
+/**
+ * Whether missing keys should be reported: local dev servers or an explicit ?i18n-debug.
+ * @returns {boolean}
+ */
+function isDebugEnabled() {
+  return DEV_HOSTS.includes(window.location.hostname)
+    || new URLSearchParams(window.location.search).has(DEBUG_PARAM);
+}
+
+/**
+ * Logs the keys the current language is missing in dev mode and, with ?i18n-debug=highlight,
+ * outlines the elements marked `data-i18n-missing`.
+ */
+function reportMissingKeys() {
+  const highlight = new URLSearchParams(window.location.search).get(DEBUG_PARAM) === 'highlight';
+  document.documentElement.toggleAttribute('data-i18n-highlight', highlight);
+
+  if (missingKeys.size === 0 || !isDebugEnabled()) {
+    return;
+  }
+  const rows = getMissingKeys();
+  // eslint-disable-next-line no-console -- dev-only translation report
+  console.warn(`[i18n] ${rows.length} key(s) missing in "${currentLang}"`);
+  // eslint-disable-next-line no-console -- dev-only translation report
+  console.table(rows);
+}
+
 /**
  * Switches to the specified language.
- * @param {string} lang - Language code
+ * The default language is loaded alongside it to fill any missing keys.
+ * @param {string} lang - Language code listed in the manifest
  */
 export async function switchLang(lang) {
-  if (!SUPPORTED_LANGS.includes(lang)) {
+  if (!isSupported(lang)) {
     return;
   }
 
@@ -221,10 +388,15 @@ export async function switchLang(lang) {
     /* Ignore localStorage failures in privacy-restricted environments */
   }
   document.documentElement.setAttribute('lang', lang);
-
-  const translations = await loadTranslations(lang);
-  applyTranslations(translations);
-  updateToggleLabel();
+  document.documentElement.setAttribute('dir', getLanguage(lang).dir);
+
+  const [translations] = await Promise.all([
+    loadTranslations(lang),
+    loadTranslations(manifest.default),
+  ]);
+  missingKeys.clear();
+  applyTranslations();
+  updatePickers();
   document.documentElement.removeAttribute('data-i18n-pending');
 
   langChangeCallbacks.forEach((cb) => {
@@ -236,19 +408,31 @@ export async function switchLang(lang) {
   });
 
   const liveRegion = document.getElementById('i18n-live');
-  if (liveRegion) {
-    liveRegion.textContent = lang === 'en'
-      ? 'Language changed to English'
-      : 'Idioma cambiado a español';
+  const announcement = formatKey('nav.language_changed', { language: getLanguage(lang).name });
+  if (liveRegion && announcement) {
+    liveRegion.textContent = announcement;
   }
+
+  reportMissingKeys();
+}
+
+/**
+ * Returns every language listed in the manifest, in display order.
+ * @returns {LanguageEntry[]} Language entries
+ */
+export function getLanguages() {
+  return manifest.languages.slice();
 }
 
 /**
- * Toggles between EN and ES.
+ * Returns the manifest entry for a language, or the default language's entry.
+ * @param {string} code - Language code
+ * @returns {LanguageEntry} Language entry
  */
-function toggleLang() {
-  const next = currentLang === 'en' ? 'es' : 'en';
-  switchLang(next);
+export function getLanguage(code) {
+  return manifest.languages.find((entry) => entry.code === code)
+    || manifest.languages.find((entry) => entry.code === manifest.default)
+    || manifest.languages[0];
 }
 
 /**
@@ -270,30 +454,50 @@ export function getCurrentLang() {
 }
 
 /**
- * Gets a specific translation key for the current language.
+ * Returns the keys missing from the current language and the layer that supplied
+ * each one (`"en"` for the default language, `"markup"` when nothing did).
+ * @returns {Array<{ key: string, source: string }>} Missing keys
+ */
+export function getMissingKeys() {
+  return Array.from(missingKeys, ([key, source]) => ({ key, source }));
+}
+
+/**
+ * Gets a specific translation key for the current language, falling back to the
+ * default language and finally to the key itself.
+ * String values are formatted as ICU-style messages with the given params.
  * @param {string} key - Dot-separated key path
+ * @param {Object} [params] - Placeholder values, e.g. `{ count: 3 }`
  * @returns {string|undefined} The translated value
  */
-export function t(key) {
-  const translations = translationCache[currentLang];
-  if (!translations) {
-    return key;
+export function t(key, params = {}) {
+  const value = lookup(key);
+  if (typeof value !== 'string') {
+    return value || key;
   }
-  return resolveKey(translations, key) || key;
+  return formatMessage(value, params, currentLang) || key;
 }
 
 /**
  * Initializes the i18n system.
- * Loads initial translations, binds toggle buttons.
+ * Loads the language manifest and initial translations, builds the nav pickers.
  */
 export async function initI18n() {
+  await loadManifest();
   currentLang = getInitialLang();
   document.documentElement.setAttribute('lang', currentLang);
 
+  document.querySelectorAll('[data-lang-picker]').forEach((picker) => {
+    initNavMenu(picker, {
+      options: manifest.languages.map(({ code, name, dir }) => ({
+        value: code,
+        label: name,
+        attrs: { lang: code, dir, 'data-lang': code },
+      })),
+      onSelect: switchLang,
+    });
+  });
+
   await switchLang(currentLang);
   document.documentElement.removeAttribute('data-i18n-pending');
-
-  document.querySelectorAll('[data-lang-toggle]').forEach((btn) => {
-    btn.addEventListener('click', toggleLang);
-  });
 }
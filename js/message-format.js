@@ -0,0 +1,238 @@
+/**
+ * Message Formatting — a small ICU MessageFormat subset for translation strings.
+ * Supports `{name}` interpolation, `{n, plural, =0 {…} one {# item} other {# items}}`
+ * (with `offset:`), `selectordinal`, and `{key, select, a {…} other {…}}`.
+ * Plural categories come from `Intl.PluralRules` for the active language.
+ * Apostrophes quote literal braces as in ICU: `'{'` renders `{`, `''` renders `'`.
+ * @module message-format
+ */
+
+/** @type {Map<string, Array>} Parsed messages keyed by source string */
+const astCache = new Map();
+
+/** @type {Object<string, Intl.PluralRules>} PluralRules keyed by "lang:type" */
+const pluralRulesCache = {};
+
+/** @type {Object<string, Intl.NumberFormat>} NumberFormat keyed by language */
+const numberFormatCache = {};
+
+const PLURAL_TYPES = ['plural', 'selectordinal'];
+
+/**
+ * Reads characters up to (not including) any of the stop characters.
+ * @param {string} msg - Source message
+ * @param {{ pos: number }} state - Parser cursor
+ * @param {string} stops - Characters that end the token
+ * @returns {string} Trimmed token
+ */
+function readToken(msg, state, stops) {
+  const start = state.pos;
+  while (state.pos < msg.length && !stops.includes(msg[state.pos])) {
+    state.pos++;
+  }
+  return msg.slice(start, state.pos).trim();
+}
+
+/**
+ * Skips whitespace at the cursor.
+ * @param {string} msg - Source message
+ * @param {{ pos: number }} state - Parser cursor
+ */
+function skipSpace(msg, state) {
+  while (state.pos < msg.length && /\s/.test(msg[state.pos])) {
+    state.pos++;
+  }
+}
+
+/**
+ * Parses a `{…}` argument starting at the cursor (which points at `{`).
+ * @param {string} msg - Source message
+ * @param {{ pos: number }} state - Parser cursor
+ * @param {boolean} inPlural - Whether `#` is meaningful in nested branches
+ * @returns {Object} Argument node
+ */
+function parseArgument(msg, state, inPlural) {
+  state.pos++;
+  const name = readToken(msg, state, ',}');
+  if (msg[state.pos] !== ',') {
+    state.pos++;
+    return { type: 'arg', name };
+  }
+
+  state.pos++;
+  const type = readToken(msg, state, ',}');
+  if (msg[state.pos] !== ',') {
+    state.pos++;
+    return { type: 'arg', name, format: type };
+  }
+
+  state.pos++;
+  const isPlural = PLURAL_TYPES.includes(type);
+  const options = {};
+  let offset = 0;
+
+  while (state.pos < msg.length) {
+    skipSpace(msg, state);
+    if (msg[state.pos] === '}') {
+      state.pos++;
+      break;
+    }
+    const selector = readToken(msg, state, '{}\t\n ');
+    skipSpace(msg, state);
+    if (selector.startsWith('offset:')) {
+      offset = Number(selector.slice('offset:'.length)) || 0;
+      continue;
+    }
+    if (msg[state.pos] !== '{') {
+      break;
+    }
+    state.pos++;
+    options[selector] = parseNodes(msg, state, isPlural || inPlural);
+    state.pos++;
+  }
+
+  return {
+    type: isPlural ? 'plural' : 'select',
+    ordinal: type === 'selectordinal',
+    name,
+    offset,
+    options,
+  };
+}
+
+/**
+ * Parses literal text and arguments until an unmatched `}` or the end.
+ * @param {string} msg - Source message
+ * @param {{ pos: number }} state - Parser cursor
+ * @param {boolean} inPlural - Whether `#` stands for the plural value
+ * @returns {Array<string|Object>} Message nodes
+ */
+function parseNodes(msg, state, inPlural) {
+  const nodes = [];
+  let text = '';
+  const flush = () => {
+    if (text) {
+      nodes.push(text);
+      text = '';
+    }
+  };
+
+  while (state.pos < msg.length) {
+    const ch = msg[state.pos];
+    const next = msg[state.pos + 1];
+
+    if (ch === '\'' && next === '\'') {
+      text += '\'';
+      state.pos += 2;
+    } else if (ch === '\'' && (next === '{' || next === '}' || (inPlural && next === '#'))) {
+      const end = msg.indexOf('\'', state.pos + 1);
+      const stop = end === -1 ? msg.length : end;
+      text += msg.slice(state.pos + 1, stop);
+      state.pos = stop + 1;
+    } else if (ch === '}') {
+      break;
+    } else if (ch === '{') {
+      flush();
+      nodes.push(parseArgument(msg, state, inPlural));
+    } else if (ch === '#' && inPlural) {
+      flush();
+      nodes.push({ type: 'pound' });
+      state.pos++;
+    } else {
+      text += ch;
+      state.pos++;
+    }
+  }
+
+  flush();
+  return nodes;
+}
+
+/**
+ * Parses a message once and caches the result.
+ * @param {string} message - ICU-style message
+ * @returns {Array<string|Object>} Message nodes
+ */
+function parseMessage(message) {
+  let ast = astCache.get(message);
+  if (!ast) {
+    ast = parseNodes(message, { pos: 0 }, false);
+    astCache.set(message, ast);
+  }
+  return ast;
+}
+
+function getPluralRules(lang, ordinal) {
+  const cacheKey = `${lang}:${ordinal ? 'ordinal' : 'cardinal'}`;
+  if (!pluralRulesCache[cacheKey]) {
+    pluralRulesCache[cacheKey] = new Intl.PluralRules(lang, { type: ordinal ? 'ordinal' : 'cardinal' });
+  }
+  return pluralRulesCache[cacheKey];
+}
+
+function formatNumber(value, lang) {
+  if (!numberFormatCache[lang]) {
+    numberFormatCache[lang] = new Intl.NumberFormat(lang);
+  }
+  return numberFormatCache[lang].format(value);
+}
+
+/**
+ * Renders parsed nodes with the given parameters.
+ * @param {Array<string|Object>} nodes - Message nodes
+ * @param {Object} params - Placeholder values
+ * @param {string} lang - Language code for plural rules and numbers
+ * @param {number|null} pluralValue - Value `#` stands for inside a plural branch
+ * @returns {string} Formatted text
+ */
+function formatNodes(nodes, params, lang, pluralValue) {
+  return nodes.map((node) => {
+    if (typeof node === 'string') {
+      return node;
+    }
+
+    if (node.type === 'pound') {
+      return pluralValue === null ? '#' : formatNumber(pluralValue, lang);
+    }
+
+    const value = params[node.name];
+
+    if (node.type === 'arg') {
+      if (value === undefined || value === null) {
+        return `{${node.name}}`;
+      }
+      return typeof value === 'number' ? formatNumber(value, lang) : String(value);
+    }
+
+    if (node.type === 'plural') {
+      const count = Number(value);
+      if (Number.isNaN(count)) {
+        return node.options.other ? formatNodes(node.options.other, params, lang, null) : '';
+      }
+      const adjusted = count - node.offset;
+      const branch = node.options[`=${count}`]
+        || node.options[getPluralRules(lang, node.ordinal).select(adjusted)]
+        || node.options.other;
+      return branch ? formatNodes(branch, params, lang, adjusted) : '';
+    }
+
+    const branch = node.options[String(value)] || node.options.other;
+    return branch ? formatNodes(branch, params, lang, pluralValue) : '';
+  }).join('');
+}
+
+/**
+ * Formats an ICU-style message.
+ * Messages without `{` or `'` are returned unchanged; missing simple
+ * placeholders stay visible as `{name}` so gaps are easy to spot.
+ * @param {string} message - Translation string
+ * @param {Object} [params] - Placeholder values
+ * @param {string} [lang] - Language code (defaults to 'en')
+ * @returns {string} Formatted text
+ */
+export function formatMessage(message, params = {}, lang = 'en') {
+  if (typeof message !== 'string' || !/[{']/.test(message)) {
+    return message;
+  }
+  return formatNodes(parseMessage(message), params || {}, lang, null);
+}
@@ -0,0 +1,171 @@
+/**
+ * Nav Menus — keyboard-accessible dropdowns (listbox pattern) for the nav pickers.
+ * The shell markup comes from site-nav.js: a wrapper holding a toggle button
+ * (`aria-haspopup="listbox"`) and an empty `role="listbox"` list; options are built here.
+ * Used by the language picker (i18n.js) and the theme picker (theme.js).
+ * Keys: Enter/Space/ArrowDown open, arrows/Home/End move, Enter/Space pick, Escape/Tab close.
+ * @module nav-menu
+ */
+
+/**
+ * @typedef {Object} NavMenuOption
+ * @property {string} value - Value passed to `onSelect`, e.g. "es" or "dark"
+ * @property {string} label - Visible text
+ * @property {string} [icon] - Font Awesome classes shown before the label
+ * @property {string} [i18n] - Translation key for the label (`data-i18n`)
+ * @property {Object<string, string>} [attrs] - Extra option attributes, e.g. `{ lang: 'es' }`
+ */
+
+/**
+ * Builds one option's markup.
+ * @param {string} menuId - Listbox id, used to derive option ids
+ * @param {NavMenuOption} option - Option definition
+ * @returns {string} `<li role="option">` markup
+ */
+function renderOption(menuId, { value, label, icon, i18n, attrs = {} }) {
+  const extra = Object.entries(attrs).map(([name, attrValue]) => ` ${name}="${attrValue}"`).join('');
+  const iconHtml = icon ? `<i class="${icon} nav__menu-icon" aria-hidden="true"></i>` : '';
+  const i18nAttr = i18n ? ` data-i18n="${i18n}"` : '';
+  return `
+    <li class="nav__menu-option" role="option" id="${menuId}-${value}" data-value="${value}"
+        tabindex="-1" aria-selected="false"${extra}>${iconHtml}<span${i18nAttr}>${label}</span></li>`;
+}
+
+/**
+ * Builds the options and binds open/close/keyboard behavior for one menu.
+ * @param {HTMLElement} root - Wrapper holding the toggle button and the listbox
+ * @param {{ options: NavMenuOption[], onSelect: (value: string) => void }} config
+ */
+export function initNavMenu(root, { options, onSelect }) {
+  const button = root.querySelector('[aria-haspopup="listbox"]');
+  const menu = root.querySelector('[role="listbox"]');
+  if (!button || !menu) {
+    return;
+  }
+
+  menu.innerHTML = options.map((option) => renderOption(menu.id, option)).join('');
+
+  const getOptions = () => Array.from(menu.querySelectorAll('[role="option"]'));
+  const isOpen = () => button.getAttribute('aria-expanded') === 'true';
+
+  function focusOption(index) {
+    const items = getOptions();
+    if (items.length === 0) {
+      return;
+    }
+    const wrapped = (index + items.length) % items.length;
+    items[wrapped].focus();
+  }
+
+  function open() {
+    menu.hidden = false;
+    button.setAttribute('aria-expanded', 'true');
+    const items = getOptions();
+    const selected = items.findIndex((opt) => opt.getAttribute('aria-selected') === 'true');
+    focusOption(selected === -1 ? 0 : selected);
+  }
+
+  function close(restoreFocus) {
+    menu.hidden = true;
+    button.setAttribute('aria-expanded', 'false');
+    if (restoreFocus) {
+      button.focus();
+    }
+  }
+
+  function choose(option) {
+    const value = option ? option.getAttribute('data-value') : null;
+    close(true);
+    if (value) {
+      onSelect(value);
+    }
+  }
+
+  button.addEventListener('click', () => {
+    if (isOpen()) {
+      close(false);
+    } else {
+      open();
+    }
+  });
+
+  button.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      open();
+    }
+  });
+
+  menu.addEventListener('click', (e) => {
+    choose(e.target.closest('[role="option"]'));
+  });
+
+  menu.addEventListener('keydown', (e) => {
+    const items = getOptions();
+    const index = items.indexOf(document.activeElement);
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        focusOption(index + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        focusOption(index - 1);
+        break;
+      case 'Home':
+        e.preventDefault();
+        focusOption(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        focusOption(items.length - 1);
+        break;
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        choose(items[index]);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        e.stopPropagation();
+        close(true);
+        break;
+      case 'Tab':
+        close(false);
+        break;
+      default:
+        break;
+    }
+  });
+
+  document.addEventListener('click', (e) => {
+    if (isOpen() && !root.contains(e.target)) {
+      close(false);
+    }
+  });
+}
+
+/**
+ * Reflects the active value on a menu: selected option, button label and optional badge text.
+ * @param {HTMLElement} root - Wrapper passed to {@link initNavMenu}
+ * @param {{ current: string, label?: string, badge?: string }} state - Active value,
+ *   accessible name for the button, and text for the button's `<span>` badge
+ */
+export function updateNavMenu(root, { current, label, badge }) {
+  const button = root.querySelector('[aria-haspopup="listbox"]');
+  if (button) {
+    const badgeEl = button.querySelector('span');
+    if (badgeEl && badge !== undefined) {
+      badgeEl.textContent = badge;
+    }
+    if (label) {
+      button.setAttribute('aria-label', label);
+    }
+  }
+
+  root.querySelectorAll('[role="option"]').forEach((option) => {
+    const isCurrent = option.getAttribute('data-value') === current;
+    option.setAttribute('aria-selected', String(isCurrent));
+    option.classList.toggle('nav__menu-option--current', isCurrent);
+  });
+}
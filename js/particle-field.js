@@ -0,0 +1,198 @@
+/**
+ * Particle Field — simulation and drawing for the constellation effect, without DOM access
+ * The default entry in the effect registry (js/effects.js). Shared by the main-thread renderer (js/particles.js) and the OffscreenCanvas worker
+ * (js/particles-worker.js). The host owns the canvas size, pointer position, palette and
+ * frame loop; this module only moves particles and draws them onto a 2D context.
+ * @module particle-field
+ */
+
+import { createSpatialGrid } from './spatial-grid.js';
+import { createRandom } from './random.js';
+import { addPointerForce, createPulses } from './pointer-forces.js';
+
+const PARTICLE_SPEED = 0.3;
+const CONNECTION_DISTANCE = 120;
+const POINTER_RADIUS = 150;
+const POINTER_STRENGTH = 0.03;
+const VELOCITY_CENTER = 0.5;
+const VELOCITY_DAMPING = 0.99;
+const DOT_OPACITY = 0.6;
+const PARTICLE_RADIUS_BASE = 1;
+const PARTICLE_RADIUS_RANGE = 2;
+const SPEED_LIMIT_FACTOR = 2;
+const LINE_WIDTH = 1;
+const FULL_CIRCLE = Math.PI * 2;
+const MIN_PARTICLE_COUNT = 8;
+/** Line opacity levels; lines are grouped per level so each level is a single stroke. */
+const LINE_ALPHA_STEPS = 8;
+
+/** Used until the host sends the theme palette. */
+export const DEFAULT_PARTICLE_COLORS = { dot: '#94a3b8', line: 'rgb(148 163 184 / 15%)', accent: '#fbbf24' };
+
+/**
+ * @typedef {{ dot: string, line: string, accent: string }} ParticleColors
+ * @typedef {{ width: number, height: number, dpr: number }} ParticleViewport
+ */
+
+/**
+ * Sizes a canvas (HTMLCanvasElement or OffscreenCanvas) for a logical viewport at the given
+ * device pixel ratio and scales the context so drawing uses logical pixels.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Target canvas
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Its 2D context
+ * @param {ParticleViewport} viewport - Logical size and pixel ratio
+ */
+export function fitCanvas(canvas, ctx, { width, height, dpr }) {
+  canvas.width = Math.max(1, Math.floor(width * dpr));
+  canvas.height = Math.max(1, Math.floor(height * dpr));
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+}
+
+/**
+ * Particles for a field: one per `pixelsPerParticle` of area, at least a handful, at most `maxParticles`.
+ * @param {number} width - Logical width in CSS pixels
+ * @param {number} height - Logical height in CSS pixels
+ * @param {{ pixelsPerParticle: number, maxParticles: number }} density - Density and cap
+ * @returns {number} Particle count
+ */
+export function particleCount(width, height, { pixelsPerParticle, maxParticles }) {
+  const raw = Math.floor((width * height) / pixelsPerParticle);
+  return Math.min(maxParticles, Math.max(raw, MIN_PARTICLE_COUNT));
+}
+
+/**
+ * Creates a particle field sized by a pixel budget.
+ * With a `seed`, every resize restarts the same random sequence, so a given seed and size
+ * always produce the same layout (reproducible banner exports).
+ * @param {{ pixelsPerParticle: number, maxParticles: number, seed?: number|null }} options - Density, cap and optional 32-bit seed
+ * @returns {import('./effects.js').ParticleEffect}
+ */
+export function createParticleField({ pixelsPerParticle, maxParticles, seed = null }) {
+  let random = Math.random;
+  let width = 1;
+  let height = 1;
+  let particles = [];
+  let colors = DEFAULT_PARTICLE_COLORS;
+  /** @type {import('./pointer-forces.js').ParticlePointer[]} */
+  let pointers = [];
+  const pulses = createPulses();
+  const force = { x: 0, y: 0 };
+  const grid = createSpatialGrid(CONNECTION_DISTANCE);
+  /** @type {number[][]} Reused per-frame index pairs (i, j, i, j, …), one buffer per alpha level */
+  const lineBatches = Array.from({ length: LINE_ALPHA_STEPS }, () => []);
+
+  /** Creates a single particle with random position and velocity. */
+  function createParticle() {
+    return {
+      x: random() * width,
+      y: random() * height,
+      vx: (random() - VELOCITY_CENTER) * PARTICLE_SPEED,
+      vy: (random() - VELOCITY_CENTER) * PARTICLE_SPEED,
+      radius: random() * PARTICLE_RADIUS_RANGE + PARTICLE_RADIUS_BASE,
+    };
+  }
+
+  /**
+   * Sets the logical field size and re-seeds particles for the new area.
+   * @param {number} nextWidth - Logical width in CSS pixels
+   * @param {number} nextHeight - Logical height in CSS pixels
+   */
+  function resize(nextWidth, nextHeight) {
+    width = Math.max(1, nextWidth);
+    height = Math.max(1, nextHeight);
+    const count = particleCount(width, height, { pixelsPerParticle, maxParticles });
+    random = seed === null ? Math.random : createRandom(seed);
+    particles = Array.from({ length: count }, createParticle);
+  }
+
+  /** Updates particle positions and handles boundary wrapping. */
+  function updateParticles() {
+    pulses.step();
+    particles.forEach((p) => {
+      force.x = 0;
+      force.y = 0;
+      addPointerForce(p.x, p.y, pointers, POINTER_RADIUS, POINTER_STRENGTH, force);
+      pulses.addForce(p.x, p.y, force);
+      p.vx += force.x;
+      p.vy += force.y;
+
+      p.x += p.vx;
+      p.y += p.vy;
+
+      const speedLimit = PARTICLE_SPEED * SPEED_LIMIT_FACTOR;
+      p.vx = Math.max(-speedLimit, Math.min(speedLimit, p.vx));
+      p.vy = Math.max(-speedLimit, Math.min(speedLimit, p.vy));
+
+      p.vx *= VELOCITY_DAMPING;
+      p.vy *= VELOCITY_DAMPING;
+
+      if (p.x < 0) { p.x = width; }
+      if (p.x > width) { p.x = 0; }
+      if (p.y < 0) { p.y = height; }
+      if (p.y > height) { p.y = 0; }
+    });
+  }
+
+  /**
+   * Renders particles and connecting lines.
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Target context
+   */
+  function draw(ctx) {
+    ctx.clearRect(0, 0, width, height);
+
+    lineBatches.forEach((batch) => {
+      batch.length = 0;
+    });
+    grid.rebuild(particles, width, height);
+    grid.forEachPair(particles, CONNECTION_DISTANCE, (i, j, dist) => {
+      /* Closer pairs land in higher (more opaque) levels. */
+      const level = Math.min(LINE_ALPHA_STEPS - 1, Math.floor((1 - dist / CONNECTION_DISTANCE) * LINE_ALPHA_STEPS));
+      lineBatches[level].push(i, j);
+    });
+
+    /* Line color carries the palette's alpha; fade it further with distance. */
+    ctx.strokeStyle = colors.line;
+    ctx.lineWidth = LINE_WIDTH;
+    lineBatches.forEach((batch, level) => {
+      if (batch.length === 0) {
+        return;
+      }
+      ctx.globalAlpha = (level + 1) / LINE_ALPHA_STEPS;
+      ctx.beginPath();
+      for (let k = 0; k < batch.length; k += 2) {
+        const from = particles[batch[k]];
+        const to = particles[batch[k + 1]];
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+      }
+      ctx.stroke();
+    });
+
+    particles.forEach((p) => {
+      ctx.fillStyle = colors.dot;
+      ctx.globalAlpha = DOT_OPACITY;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.radius, 0, FULL_CIRCLE);
+      ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+    pulses.draw(ctx, colors.accent);
+  }
+
+  return {
+    resize,
+    setPointers(next) {
+      pointers = next;
+    },
+    pulse: pulses.add,
+    setColors(next) {
+      colors = next;
+    },
+    /** Advances one step and draws it. */
+    frame(ctx) {
+      updateParticles();
+      draw(ctx);
+    },
+    /** Draws the current positions without moving them (freeze-frame mode). */
+    render: draw,
+  };
+}
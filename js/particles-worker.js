@@ -0,0 +1,100 @@
+/* eslint-env worker */
+/**
+ * Particles Worker — renders the background effect onto an OffscreenCanvas off the main thread
+ * Started by js/particles.js as a module worker. Messages (all `{ type, … }`):
+ *   init       { canvas, options: { effect, pixelsPerParticle, maxParticles, seed }, viewport, colors }
+ *   resize     { viewport: { width, height, dpr } }
+ *   pointers   { pointers: [{ x, y, mode }] } — every active pointer ([] when none)
+ *   pulse      { x, y } — tap ripple
+ *   colors     { colors: { dot, line, accent } }
+ *   visibility { visible }
+ * @module particles-worker
+ */
+
+import { fitCanvas } from './particle-field.js';
+import { createEffect } from './effects.js';
+
+/** Fallback frame interval where workers lack requestAnimationFrame (~60 fps). */
+const FALLBACK_FRAME_MS = 16;
+
+const requestFrame = typeof self.requestAnimationFrame === 'function'
+  ? (callback) => self.requestAnimationFrame(callback)
+  : (callback) => setTimeout(callback, FALLBACK_FRAME_MS);
+const cancelFrame = typeof self.cancelAnimationFrame === 'function'
+  ? (id) => self.cancelAnimationFrame(id)
+  : (id) => clearTimeout(id);
+
+let canvas = null;
+let ctx = null;
+let effect = null;
+let frameId = null;
+
+function animate() {
+  effect.frame(ctx);
+  frameId = requestFrame(animate);
+}
+
+function start() {
+  if (effect && frameId === null) {
+    animate();
+  }
+}
+
+function stop() {
+  if (frameId !== null) {
+    cancelFrame(frameId);
+    frameId = null;
+  }
+}
+
+function resize(viewport) {
+  fitCanvas(canvas, ctx, viewport);
+  effect.resize(viewport.width, viewport.height);
+}
+
+const handlers = {
+  init(data) {
+    canvas = data.canvas;
+    ctx = canvas.getContext('2d');
+    if (!ctx) {
+      return;
+    }
+    effect = createEffect(data.options.effect, data.options);
+    effect.setColors(data.colors);
+    resize(data.viewport);
+  },
+  resize(data) {
+    if (effect) {
+      resize(data.viewport);
+    }
+  },
+  pointers(data) {
+    if (effect) {
+      effect.setPointers(data.pointers);
+    }
+  },
+  pulse(data) {
+    if (effect) {
+      effect.pulse(data.x, data.y);
+    }
+  },
+  colors(data) {
+    if (effect) {
+      effect.setColors(data.colors);
+    }
+  },
+  visibility(data) {
+    if (data.visible) {
+      start();
+    } else {
+      stop();
+    }
+  },
+};
+
+self.addEventListener('message', (event) => {
+  const handler = handlers[event.data && event.data.type];
+  if (handler) {
+    handler(event.data);
+  }
+});
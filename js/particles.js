@@ -1,41 +1,184 @@
 /**
- * Particle System — Canvas-based network constellation effect
+ * Particle System — Canvas background effects (network constellation by default)
  * Performance-budgeted: capped particle count, requestAnimationFrame,
- * pauses when tab is hidden or canvas is off-screen.
- * Respects prefers-reduced-motion.
+ * pauses when tab is hidden. Effects (js/effects.js) only simulate and draw; this module
+ * owns sizing, DPR, palette, Pointer Events and visibility for all of them. Pages pick an effect
+ * through options, and `?effect=<name>` overrides it. Where OffscreenCanvas and module
+ * workers are available the homepage renders in js/particles-worker.js so the typing
+ * animation, observers and i18n updates keep the main thread, otherwise (or if the worker
+ * fails) the same effect runs here.
+ * An optional seed makes layouts reproducible and freeze-frame mode draws a single still
+ * frame (used by banner exports, see `initBannerParticles`).
+ * Respects prefers-reduced-motion. Colors follow the active theme palette
+ * (`--color-particle`, `--color-particle-line`, `--color-accent`) and refresh when `data-theme` changes.
  * @module particles
  */
 
 import { debounce } from './utils.js';
+import { fitCanvas, DEFAULT_PARTICLE_COLORS } from './particle-field.js';
+import { createEffect, isEffect, DEFAULT_EFFECT } from './effects.js';
+import { toSeed } from './random.js';
+import { POINTER_ATTRACT, POINTER_REPEL } from './pointer-forces.js';
 
-const MAX_PARTICLES = 60;
-const PARTICLE_SPEED = 0.3;
-const CONNECTION_DISTANCE = 120;
-const MOUSE_INFLUENCE_RADIUS = 150;
-const MOUSE_REPEL_STRENGTH = 0.02;
-const VELOCITY_CENTER = 0.5;
-const PIXELS_PER_PARTICLE = 15000;
-const LINE_OPACITY_FACTOR = 0.5;
-const MOUSE_OFFSCREEN = -1000;
-const VELOCITY_DAMPING = 0.99;
-const DOT_OPACITY = 0.6;
+/**
+ * Particle density (see `particleCount` in js/particle-field.js); also read by
+ * scripts/bench-particles.js. The homepage count follows viewport area like the banner's, and
+ * its ceiling only binds above 4K (3840×2160 is 552 particles).
+ */
+export const HOMEPAGE_DENSITY = Object.freeze({ pixelsPerParticle: 15000, maxParticles: 560 });
+export const BANNER_DENSITY = Object.freeze({ pixelsPerParticle: 2400, maxParticles: 320 });
 const RESIZE_DEBOUNCE_MS = 200;
-const PARTICLE_RADIUS_BASE = 1;
-const PARTICLE_RADIUS_RANGE = 2;
-const SPEED_LIMIT_FACTOR = 2;
-const LINE_WIDTH = 1;
-const FULL_CIRCLE = Math.PI * 2;
-const MIN_PARTICLE_COUNT = 8;
-const BANNER_PIXELS_PER_PARTICLE = 3800;
-const BANNER_MAX_PARTICLES = 160;
+/** A press shorter and stiller than this is a tap and emits a pulse. */
+const TAP_MAX_MS = 300;
+const TAP_SLOP_PX = 10;
 const BANNER_RELAYOUT_DELAY_MS = 400;
-/** LinkedIn cover — must match CSS `#linkedin-banner`; do not use `clientWidth` (often ~75% during layout). */
-const LINKEDIN_BANNER_SIZE = { width: 1584, height: 396 };
 
 /**
  * @typedef {'viewport' | 'container'} ParticleBoundsMode
+ * @typedef {'auto' | 'main'} ParticleRendererMode
+ * @typedef {import('./particle-field.js').ParticleColors} ParticleColors
+ * @typedef {import('./particle-field.js').ParticleViewport} ParticleViewport
+ * @typedef {import('./pointer-forces.js').ParticlePointer} ParticlePointer
+ */
+
+/**
+ * @typedef {Object} ParticleRenderer
+ * @property {'main'|'worker'} kind - Where frames are drawn
+ * @property {(viewport: ParticleViewport) => void} resize - Resizes the canvas and re-seeds particles
+ * @property {(pointers: ParticlePointer[]) => void} pointers - Every active pointer, in logical pixels
+ * @property {(x: number, y: number) => void} pulse - Tap ripple at a logical point
+ * @property {(colors: ParticleColors) => void} colors - Applies the theme palette
+ * @property {() => void} start - Starts or resumes frames
+ * @property {() => void} stop - Pauses frames
  */
 
+/**
+ * Renders on the main thread with requestAnimationFrame.
+ * When frozen, no loop runs: start, resize and palette changes each draw one still frame.
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {{ effect: string, pixelsPerParticle: number, maxParticles: number, seed: number|null }} effectOptions - Effect name, density, cap and seed
+ * @param {boolean} freeze - Draw a single static frame instead of animating
+ * @returns {ParticleRenderer|null} Renderer, or null without a 2D context
+ */
+function createMainThreadRenderer(canvas, effectOptions, freeze) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    return null;
+  }
+  const effect = createEffect(effectOptions.effect, effectOptions);
+  let animationId = null;
+
+  function animate() {
+    effect.frame(ctx);
+    animationId = requestAnimationFrame(animate);
+  }
+
+  return {
+    kind: 'main',
+    resize(viewport) {
+      fitCanvas(canvas, ctx, viewport);
+      effect.resize(viewport.width, viewport.height);
+      if (freeze) {
+        effect.render(ctx);
+      }
+    },
+    pointers(pointers) {
+      if (!freeze) {
+        effect.setPointers(pointers);
+      }
+    },
+    pulse(x, y) {
+      if (!freeze) {
+        effect.pulse(x, y);
+      }
+    },
+    colors(colors) {
+      effect.setColors(colors);
+      if (freeze) {
+        effect.render(ctx);
+      }
+    },
+    start() {
+      if (freeze) {
+        effect.render(ctx);
+        return;
+      }
+      if (!animationId) {
+        animate();
+      }
+    },
+    stop() {
+      if (animationId) {
+        cancelAnimationFrame(animationId);
+        animationId = null;
+      }
+    },
+  };
+}
+
+/**
+ * Hands the canvas to a module worker via OffscreenCanvas; all state changes become messages.
+ * @param {HTMLCanvasElement} canvas - Target canvas (control is transferred, so it cannot be drawn here afterwards)
+ * @param {{ effect: string, pixelsPerParticle: number, maxParticles: number, seed: number|null }} effectOptions - Effect name, density, cap and seed
+ * @param {{ viewport: ParticleViewport, colors: ParticleColors, onError: () => void }} initial - Start state and failure hook
+ * @returns {ParticleRenderer|null} Renderer, or null when workers or OffscreenCanvas are unavailable
+ */
+function createWorkerRenderer(canvas, effectOptions, { viewport, colors, onError }) {
+  if (typeof Worker !== 'function' || typeof canvas.transferControlToOffscreen !== 'function') {
+    return null;
+  }
+
+  let worker;
+  let offscreen;
+  try {
+    worker = new Worker(new URL('./particles-worker.js', import.meta.url), { type: 'module' });
+    offscreen = canvas.transferControlToOffscreen();
+  } catch (_error) {
+    if (worker) {
+      worker.terminate();
+    }
+    return null;
+  }
+
+  /* Module load failures (e.g. no module-worker support) surface here, after the transfer. */
+  worker.addEventListener('error', () => {
+    worker.terminate();
+    onError();
+  }, { once: true });
+
+  worker.postMessage({ type: 'init', canvas: offscreen, options: effectOptions, viewport, colors }, [offscreen]);
+
+  let running = false;
+
+  return {
+    kind: 'worker',
+    resize(nextViewport) {
+      worker.postMessage({ type: 'resize', viewport: nextViewport });
+    },
+    pointers(pointers) {
+      worker.postMessage({ type: 'pointers', pointers });
+    },
+    pulse(x, y) {
+      worker.postMessage({ type: 'pulse', x, y });
+    },
+    colors(nextColors) {
+      worker.postMessage({ type: 'colors', colors: nextColors });
+    },
+    start() {
+      if (!running) {
+        running = true;
+        worker.postMessage({ type: 'visibility', visible: true });
+      }
+    },
+    stop() {
+      if (running) {
+        running = false;
+        worker.postMessage({ type: 'visibility', visible: false });
+      }
+    },
+  };
+}
+
 /**
  * Creates and manages the particle canvas animation.
  * @param {HTMLCanvasElement} canvas - The target canvas element
@@ -44,26 +187,29 @@ const LINKEDIN_BANNER_SIZE = { width: 1584, height: 396 };
  *   pixelsPerParticle?: number,
  *   maxParticles?: number,
  *   fixedLogicalSize?: { width: number, height: number },
+ *   renderer?: ParticleRendererMode,
+ *   seed?: number|string,
+ *   freeze?: boolean,
+ *   effect?: string,
  * }} [options] - `container` uses parent size unless `fixedLogicalSize` is set (LinkedIn banner).
+ *   `renderer: 'main'` keeps drawing on the main thread; `auto` (default) prefers the worker.
+ *   `seed` (see js/random.js `toSeed`) fixes the layout; `freeze` draws one still frame on the
+ *   main thread (a single frame is not worth a worker). `effect` names a js/effects.js entry.
  */
 function createParticleSystem(canvas, options = {}) {
   const boundsMode = options.bounds === 'container' ? 'container' : 'viewport';
-  const pixelBudget = typeof options.pixelsPerParticle === 'number'
-    ? options.pixelsPerParticle
-    : PIXELS_PER_PARTICLE;
-  const particleCap = typeof options.maxParticles === 'number'
-    ? options.maxParticles
-    : MAX_PARTICLES;
-  const ctx = canvas.getContext('2d');
-  if (!ctx) {
-    return null;
-  }
-
-  let particles = [];
-  let mouseX = MOUSE_OFFSCREEN;
-  let mouseY = MOUSE_OFFSCREEN;
-  let animationId = null;
-  let isVisible = true;
+  const effectOptions = {
+    effect: isEffect(options.effect) ? options.effect : DEFAULT_EFFECT,
+    pixelsPerParticle: typeof options.pixelsPerParticle === 'number'
+      ? options.pixelsPerParticle
+      : HOMEPAGE_DENSITY.pixelsPerParticle,
+    maxParticles: typeof options.maxParticles === 'number'
+      ? options.maxParticles
+      : HOMEPAGE_DENSITY.maxParticles,
+    seed: options.seed === undefined ? null : toSeed(options.seed),
+  };
+  const freeze = options.freeze === true;
+  let isVisible = false;
 
   function getSize() {
     if (boundsMode === 'viewport') {
@@ -85,168 +231,175 @@ function createParticleSystem(canvas, options = {}) {
     return { width: width > 0 ? width : 1, height: height > 0 ? height : 1 };
   }
 
-  /**
-   * Reads current theme colors from CSS custom properties.
-   * @returns {{ dot: string, line: string }}
-   */
-  function getColors() {
-    const style = getComputedStyle(document.documentElement);
-    return {
-      dot: style.getPropertyValue('--color-particle').trim() || '#94a3b8',
-      line: style.getPropertyValue('--color-particle-line').trim() || 'rgba(148,163,184,0.15)',
-    };
-  }
-
-  /** Resizes canvas to match viewport or parent box. */
-  function resize() {
-    const dpr = window.devicePixelRatio || 1;
+  /** Logical size plus pixel ratio; also sizes the element itself, which stays on this thread. */
+  function getViewport() {
     const { width, height } = getSize();
-    canvas.width = Math.max(1, Math.floor(width * dpr));
-    canvas.height = Math.max(1, Math.floor(height * dpr));
-    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     canvas.style.width = `${width}px`;
     canvas.style.height = `${height}px`;
+    return { width, height, dpr: window.devicePixelRatio || 1 };
   }
 
-  /** Creates a single particle with random position and velocity. */
-  function createParticle() {
-    const { width, height } = getSize();
+  /**
+   * Reads current theme colors from CSS custom properties.
+   * @returns {ParticleColors}
+   */
+  function getColors() {
+    const style = getComputedStyle(document.documentElement);
     return {
-      x: Math.random() * width,
-      y: Math.random() * height,
-      vx: (Math.random() - VELOCITY_CENTER) * PARTICLE_SPEED,
-      vy: (Math.random() - VELOCITY_CENTER) * PARTICLE_SPEED,
-      radius: Math.random() * PARTICLE_RADIUS_RANGE + PARTICLE_RADIUS_BASE,
+      dot: style.getPropertyValue('--color-particle').trim() || DEFAULT_PARTICLE_COLORS.dot,
+      line: style.getPropertyValue('--color-particle-line').trim() || DEFAULT_PARTICLE_COLORS.line,
+      accent: style.getPropertyValue('--color-accent').trim() || DEFAULT_PARTICLE_COLORS.accent,
     };
   }
 
-  /** Initializes the particle array. */
-  function resetParticleArray() {
-    const { width, height } = getSize();
-    const raw = Math.floor((width * height) / pixelBudget);
-    const count = Math.min(particleCap, Math.max(raw, MIN_PARTICLE_COUNT));
-    particles = Array.from({ length: count }, createParticle);
+  /** Starts the main-thread renderer on `target` with the current size, palette and visibility. */
+  function useMainThread(target) {
+    const fallback = createMainThreadRenderer(target, effectOptions, freeze);
+    if (!fallback) {
+      return null;
+    }
+    target.dataset.particleRenderer = fallback.kind;
+    target.dataset.particleEffect = effectOptions.effect;
+    fallback.colors(getColors());
+    fallback.resize(getViewport());
+    if (isVisible) {
+      fallback.start();
+    }
+    return fallback;
   }
 
-  /** Updates particle positions and handles boundary wrapping. */
-  function updateParticles() {
-    const { width, height } = getSize();
-
-    particles.forEach((p) => {
-      const dx = p.x - mouseX;
-      const dy = p.y - mouseY;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-
-      if (dist < MOUSE_INFLUENCE_RADIUS && dist > 0) {
-        p.vx += (dx / dist) * MOUSE_REPEL_STRENGTH;
-        p.vy += (dy / dist) * MOUSE_REPEL_STRENGTH;
-      }
-
-      p.x += p.vx;
-      p.y += p.vy;
-
-      const speedLimit = PARTICLE_SPEED * SPEED_LIMIT_FACTOR;
-      p.vx = Math.max(-speedLimit, Math.min(speedLimit, p.vx));
-      p.vy = Math.max(-speedLimit, Math.min(speedLimit, p.vy));
-
-      p.vx *= VELOCITY_DAMPING;
-      p.vy *= VELOCITY_DAMPING;
-
-      if (p.x < 0) { p.x = width; }
-      if (p.x > width) { p.x = 0; }
-      if (p.y < 0) { p.y = height; }
-      if (p.y > height) { p.y = 0; }
-    });
+  /** A transferred canvas can no longer be drawn here, so fall back on a fresh copy of it. */
+  function recoverFromWorker() {
+    const fresh = canvas.cloneNode(false);
+    canvas.replaceWith(fresh);
+    canvas = fresh;
+    renderer = useMainThread(fresh) || renderer;
   }
 
-  /** Renders particles and connecting lines. */
-  function draw() {
-    const colors = getColors();
-    const { width, height } = getSize();
-    ctx.clearRect(0, 0, width, height);
-
-    for (let i = 0; i < particles.length; i++) {
-      for (let j = i + 1; j < particles.length; j++) {
-        const dx = particles[i].x - particles[j].x;
-        const dy = particles[i].y - particles[j].y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        if (dist < CONNECTION_DISTANCE) {
-          const opacity = (1 - dist / CONNECTION_DISTANCE) * LINE_OPACITY_FACTOR;
-          ctx.strokeStyle = colors.line.includes('rgb')
-            ? colors.line.replace(/[\d.]+\)$/, `${opacity})`)
-            : `rgba(148, 163, 184, ${opacity})`;
-          ctx.lineWidth = LINE_WIDTH;
-          ctx.beginPath();
-          ctx.moveTo(particles[i].x, particles[i].y);
-          ctx.lineTo(particles[j].x, particles[j].y);
-          ctx.stroke();
-        }
-      }
-    }
-
-    particles.forEach((p) => {
-      ctx.fillStyle = colors.dot;
-      ctx.globalAlpha = DOT_OPACITY;
-      ctx.beginPath();
-      ctx.arc(p.x, p.y, p.radius, 0, FULL_CIRCLE);
-      ctx.fill();
+  /** @type {ParticleRenderer|null} */
+  let renderer = options.renderer === 'main' || freeze
+    ? null
+    : createWorkerRenderer(canvas, effectOptions, {
+      viewport: getViewport(),
+      colors: getColors(),
+      onError: recoverFromWorker,
     });
-    ctx.globalAlpha = 1;
+  if (renderer) {
+    canvas.dataset.particleRenderer = renderer.kind;
+    canvas.dataset.particleEffect = effectOptions.effect;
+  } else {
+    renderer = useMainThread(canvas);
   }
-
-  /** Main animation loop. */
-  function animate() {
-    if (!isVisible) {
-      return;
-    }
-    updateParticles();
-    draw();
-    animationId = requestAnimationFrame(animate);
+  if (!renderer) {
+    return null;
   }
 
   /** Starts or resumes the animation. */
   function start() {
     isVisible = true;
-    if (!animationId) {
-      animate();
-    }
+    renderer.start();
   }
 
   /** Pauses the animation. */
   function stop() {
     isVisible = false;
-    if (animationId) {
-      cancelAnimationFrame(animationId);
-      animationId = null;
-    }
+    renderer.stop();
   }
 
   function relayout() {
-    resize();
-    resetParticleArray();
+    renderer.resize(getViewport());
   }
 
-  relayout();
-
   const debouncedResize = debounce(() => {
     relayout();
   }, RESIZE_DEBOUNCE_MS);
 
   window.addEventListener('resize', debouncedResize);
 
-  const moveRoot = canvas.parentElement;
-  if (moveRoot) {
-    moveRoot.addEventListener('mousemove', (e) => {
-      const rect = canvas.getBoundingClientRect();
-      mouseX = e.clientX - rect.left;
-      mouseY = e.clientY - rect.top;
-    });
+  /**
+   * Pointers over the canvas, keyed by pointerId. Listeners are passive and nothing sets
+   * `touch-action`, so touches still scroll the page; the browser then sends pointercancel.
+   * @type {Map<number, { x: number, y: number, mode: string, downX?: number, downY?: number, downAt?: number }>}
+   */
+  const activePointers = new Map();
 
-    moveRoot.addEventListener('mouseleave', () => {
-      mouseX = MOUSE_OFFSCREEN;
-      mouseY = MOUSE_OFFSCREEN;
+  /**
+   * Maps client coordinates to the effect's logical pixels, so a scaled banner preview still lines up.
+   * @param {number} clientX - Viewport x
+   * @param {number} clientY - Viewport y
+   * @returns {{ x: number, y: number }|null} Logical point, or null outside the canvas box
+   */
+  function toLogical(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) {
+      return null;
+    }
+    const { width, height } = getSize();
+    const x = ((clientX - rect.left) * width) / rect.width;
+    const y = ((clientY - rect.top) * height) / rect.height;
+    return x < 0 || y < 0 || x > width || y > height ? null : { x, y };
+  }
+
+  function publishPointers() {
+    renderer.pointers(Array.from(activePointers.values(), ({ x, y, mode }) => ({ x, y, mode })));
+  }
+
+  function releasePointer(e) {
+    if (activePointers.delete(e.pointerId)) {
+      publishPointers();
+    }
+  }
+
+  /** Hovering repels; a pressed pointer (finger, pen tip, held mouse button) attracts. */
+  function trackPointer(e) {
+    const point = toLogical(e.clientX, e.clientY);
+    if (!point) {
+      releasePointer(e);
+      return;
+    }
+    const previous = activePointers.get(e.pointerId);
+    activePointers.set(e.pointerId, {
+      ...previous,
+      ...point,
+      mode: e.buttons > 0 ? POINTER_ATTRACT : POINTER_REPEL,
     });
+    publishPointers();
+  }
+
+  const pointerRoot = boundsMode === 'container' ? canvas.parentElement : document.documentElement;
+  if (pointerRoot) {
+    const passive = { passive: true };
+
+    pointerRoot.addEventListener('pointerdown', (e) => {
+      trackPointer(e);
+      const entry = activePointers.get(e.pointerId);
+      if (entry) {
+        Object.assign(entry, { downX: e.clientX, downY: e.clientY, downAt: e.timeStamp });
+      }
+    }, passive);
+
+    pointerRoot.addEventListener('pointermove', trackPointer, passive);
+
+    pointerRoot.addEventListener('pointerup', (e) => {
+      const entry = activePointers.get(e.pointerId);
+      const isTap = entry
+        && entry.downAt !== undefined
+        && e.timeStamp - entry.downAt <= TAP_MAX_MS
+        && Math.hypot(e.clientX - entry.downX, e.clientY - entry.downY) <= TAP_SLOP_PX;
+      if (isTap) {
+        renderer.pulse(entry.x, entry.y);
+      }
+      if (e.pointerType === 'mouse') {
+        /* The mouse keeps hovering after a click: back to repelling. */
+        activePointers.delete(e.pointerId);
+        trackPointer(e);
+      } else {
+        releasePointer(e);
+      }
+    }, passive);
+
+    pointerRoot.addEventListener('pointercancel', releasePointer, passive);
+    pointerRoot.addEventListener('pointerleave', releasePointer, passive);
   }
 
   document.addEventListener('visibilitychange', () => {
@@ -257,14 +410,33 @@ function createParticleSystem(canvas, options = {}) {
     }
   });
 
+  /* Theme menu, OS changes (system mode) and export scripts all set `data-theme`. */
+  new MutationObserver(() => {
+    renderer.colors(getColors());
+  }).observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+
   return { start, stop, resize: relayout };
 }
 
+/**
+ * Effect requested with `?effect=` (e.g. `?effect=code-rain`), if it names a registered effect.
+ * @returns {string|null} Effect name or null
+ */
+function getUrlEffect() {
+  try {
+    const effect = new URLSearchParams(window.location.search).get('effect');
+    return isEffect(effect) ? effect : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
 /**
  * Initializes the particle system on the target canvas.
  * Skips initialization if prefers-reduced-motion is enabled.
+ * @param {{ effect?: string }} [options] - Page default effect (`?effect=` wins)
  */
-export function initParticles() {
+export function initParticles({ effect = DEFAULT_EFFECT } = {}) {
   const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
   if (prefersReducedMotion) {
     return;
@@ -275,31 +447,44 @@ export function initParticles() {
     return;
   }
 
-  const system = createParticleSystem(canvas, { bounds: 'viewport' });
+  const system = createParticleSystem(canvas, { bounds: 'viewport', effect: getUrlEffect() || effect });
   if (system) {
     system.start();
   }
 }
 
 /**
- * Particles inside the LinkedIn banner export area (same logic as the homepage, bounded to the card).
+ * Particles inside the banner export area (same logic as the homepage, bounded to the card).
+ * A frozen frame has no motion, so it is drawn even with prefers-reduced-motion.
+ * The size is the export format's (js/banner-presets.js), not `clientWidth`, which is often
+ * ~75% of it during layout.
+ * @param {{ seed?: number|string, freeze?: boolean, effect?: string, size: { width: number, height: number } }} options -
+ *   Reproducible layout, still-frame mode, page default effect (`?effect=` wins) and banner size
+ * @returns {{ setSize: (size: { width: number, height: number }) => void }|null} Handle to follow
+ *   format changes, or null when particles are off
  */
-export function initBannerParticles() {
+export function initBannerParticles({ seed, freeze = false, effect = DEFAULT_EFFECT, size }) {
   const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-  if (prefersReducedMotion) {
-    return;
+  if (prefersReducedMotion && !freeze) {
+    return null;
   }
 
   const canvas = document.getElementById('banner-particle-canvas');
   if (!canvas) {
-    return;
+    return null;
   }
 
+  /* Read on every resize, so updating it in place re-lays out the effect at the new format. */
+  const logicalSize = { width: size.width, height: size.height };
   const system = createParticleSystem(canvas, {
     bounds: 'container',
-    fixedLogicalSize: LINKEDIN_BANNER_SIZE,
-    pixelsPerParticle: BANNER_PIXELS_PER_PARTICLE,
-    maxParticles: BANNER_MAX_PARTICLES,
+    fixedLogicalSize: logicalSize,
+    ...BANNER_DENSITY,
+    /* Export scripts resize and screenshot right away; keep frames in step with this thread. */
+    renderer: 'main',
+    seed,
+    freeze,
+    effect: getUrlEffect() || effect,
   });
   if (system) {
     system.start();
@@ -316,4 +501,13 @@ export function initBannerParticles() {
       system.resize();
     }, BANNER_RELAYOUT_DELAY_MS);
   }
+  return system
+    ? {
+      setSize(next) {
+        logicalSize.width = next.width;
+        logicalSize.height = next.height;
+        system.resize();
+      },
+    }
+    : null;
 }
@@ -0,0 +1,85 @@
+/**
+ * PDF Variants — paper sizes and lengths of the CV PDF
+ * Every language gets each paper × length combination. A variant's file is the language's `pdf`
+ * path from i18n/languages.json with a suffix (A4 full keeps the plain path). Print layout for each
+ * variant lives in css/print.css under `[data-cv-paper]` and `[data-cv-length]` on <html>.
+ * No DOM access: shared by the CV page's download picker and scripts/generate-pdf.js.
+ * @module pdf-variants
+ */
+
+export const DEFAULT_PAPER = 'a4';
+export const DEFAULT_LENGTH = 'full';
+/** Roles (most recent first) that keep their bullets in the compact CV; older ones show only their header. */
+export const COMPACT_DETAILED_ROLES = 2;
+
+/**
+ * @typedef {Object} PdfPaper
+ * @property {string} id - Paper key (`?paper=`)
+ * @property {string} format - Playwright `page.pdf()` format
+ * @property {string} suffix - Appended to the PDF file stem
+ * @property {string} filenameSuffix - Appended to the suggested download name
+ */
+
+/** @type {Object<string, PdfPaper>} */
+export const PDF_PAPERS = {
+  a4: { id: 'a4', format: 'A4', suffix: '', filenameSuffix: '' },
+  letter: { id: 'letter', format: 'Letter', suffix: '-letter', filenameSuffix: '-Letter' },
+};
+
+/**
+ * @typedef {Object} PdfLength
+ * @property {string} id - Length key (`?length=`)
+ * @property {number} pageBudget - Most pages the PDF may take
+ * @property {number|null} detailedRoles - Roles that keep their bullets (null: all)
+ * @property {string} suffix - Appended to the PDF file stem
+ * @property {string} filenameSuffix - Appended to the suggested download name
+ */
+
+/** @type {Object<string, PdfLength>} */
+export const PDF_LENGTHS = {
+  full: { id: 'full', pageBudget: 2, detailedRoles: null, suffix: '', filenameSuffix: '' },
+  compact: {
+    id: 'compact',
+    pageBudget: 1,
+    detailedRoles: COMPACT_DETAILED_ROLES,
+    suffix: '-compact',
+    filenameSuffix: '-OnePage',
+  },
+};
+
+/**
+ * Looks up a paper size, falling back to A4 for unknown keys.
+ * @param {string|null|undefined} id - Paper key
+ * @returns {PdfPaper}
+ */
+export function getPaper(id) {
+  return PDF_PAPERS[typeof id === 'string' && Object.hasOwn(PDF_PAPERS, id) ? id : DEFAULT_PAPER];
+}
+
+/**
+ * Looks up a length, falling back to the full CV for unknown keys.
+ * @param {string|null|undefined} id - Length key
+ * @returns {PdfLength}
+ */
+export function getLength(id) {
+  return PDF_LENGTHS[typeof id === 'string' && Object.hasOwn(PDF_LENGTHS, id) ? id : DEFAULT_LENGTH];
+}
+
+/**
+ * Every paper × length combination, default first.
+ * @returns {{ paper: PdfPaper, length: PdfLength }[]}
+ */
+export function listPdfVariants() {
+  return Object.values(PDF_PAPERS).flatMap((paper) => Object.values(PDF_LENGTHS).map((length) => ({ paper, length })));
+}
+
+/**
+ * File of a variant, e.g. "assets/joaquin-noguera-cv-en.pdf" → "assets/joaquin-noguera-cv-en-letter-compact.pdf".
+ * @param {string} basePath - The language's `pdf` path (A4, full)
+ * @param {string} paper - Paper key
+ * @param {string} length - Length key
+ * @returns {string} Root-relative path
+ */
+export function pdfVariantPath(basePath, paper, length) {
+  return basePath.replace(/\.pdf$/, `${getPaper(paper).suffix}${getLength(length).suffix}.pdf`);
+}
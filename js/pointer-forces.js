@@ -0,0 +1,111 @@
+/**
+ * Pointer Forces — shared pointer and tap-pulse physics for background effects
+ * The host (js/particles.js) turns Pointer Events into a list of pointers: a hovering mouse
+ * repels, pressed pointers (touch, pen, held mouse button) attract — one per finger — and a
+ * quick tap emits a pulse, a ring that expands and pushes particles outward as it passes.
+ * No DOM access: usable from the OffscreenCanvas worker.
+ * @module pointer-forces
+ */
+
+export const POINTER_REPEL = 'repel';
+export const POINTER_ATTRACT = 'attract';
+
+const PULSE_SPEED = 6;
+const PULSE_DURATION = 60;
+/** How thick the pushing band around the ring is, in logical pixels. */
+const PULSE_BAND = 24;
+const PULSE_STRENGTH = 0.6;
+const PULSE_OPACITY = 0.5;
+const PULSE_LINE_WIDTH = 1.5;
+const MAX_PULSES = 8;
+const FULL_CIRCLE = Math.PI * 2;
+
+/**
+ * @typedef {{ x: number, y: number, mode: 'repel'|'attract' }} ParticlePointer
+ * @typedef {{ x: number, y: number }} Force
+ */
+
+/**
+ * Adds the push or pull of every pointer within `radius` of (x, y) to `force`.
+ * Both directions fall off linearly with distance so attracted particles do not collapse.
+ * @param {number} x - Particle x
+ * @param {number} y - Particle y
+ * @param {ParticlePointer[]} pointers - Active pointers
+ * @param {number} radius - Influence radius
+ * @param {number} strength - Force at the pointer
+ * @param {Force} force - Accumulator (mutated, so callers can reuse one object per frame)
+ * @returns {Force} The same accumulator
+ */
+export function addPointerForce(x, y, pointers, radius, strength, force) {
+  pointers.forEach((pointer) => {
+    const dx = x - pointer.x;
+    const dy = y - pointer.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist >= radius || dist === 0) {
+      return;
+    }
+    const falloff = 1 - dist / radius;
+    const direction = pointer.mode === POINTER_ATTRACT ? -1 : 1;
+    force.x += (dx / dist) * strength * falloff * direction;
+    force.y += (dy / dist) * strength * falloff * direction;
+  });
+  return force;
+}
+
+/**
+ * Tracks expanding tap pulses.
+ * @returns {{
+ *   add: (x: number, y: number) => void,
+ *   step: () => void,
+ *   addForce: (x: number, y: number, force: Force) => Force,
+ *   draw: (ctx: CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D, color: string) => void,
+ * }}
+ */
+export function createPulses() {
+  /** @type {{ x: number, y: number, age: number }[]} */
+  let pulses = [];
+
+  return {
+    add(x, y) {
+      pulses.push({ x, y, age: 0 });
+      if (pulses.length > MAX_PULSES) {
+        pulses.shift();
+      }
+    },
+    step() {
+      pulses.forEach((pulse) => {
+        pulse.age++;
+      });
+      pulses = pulses.filter((pulse) => pulse.age < PULSE_DURATION);
+    },
+    /** Adds the outward push of every ring whose band covers (x, y). */
+    addForce(x, y, force) {
+      pulses.forEach((pulse) => {
+        const dx = x - pulse.x;
+        const dy = y - pulse.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist === 0 || Math.abs(dist - pulse.age * PULSE_SPEED) > PULSE_BAND) {
+          return;
+        }
+        const fade = 1 - pulse.age / PULSE_DURATION;
+        force.x += (dx / dist) * PULSE_STRENGTH * fade;
+        force.y += (dy / dist) * PULSE_STRENGTH * fade;
+      });
+      return force;
+    },
+    draw(ctx, color) {
+      if (pulses.length === 0) {
+        return;
+      }
+      ctx.strokeStyle = color;
+      ctx.lineWidth = PULSE_LINE_WIDTH;
+      pulses.forEach((pulse) => {
+        ctx.globalAlpha = PULSE_OPACITY * (1 - pulse.age / PULSE_DURATION);
+        ctx.beginPath();
+        ctx.arc(pulse.x, pulse.y, pulse.age * PULSE_SPEED, 0, FULL_CIRCLE);
+        ctx.stroke();
+      });
+      ctx.globalAlpha = 1;
+    },
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * Seeded Random — small deterministic PRNG for reproducible particle layouts
+ * mulberry32: 32-bit state, fast and well distributed enough for visuals (not for security).
+ * No DOM access: usable from workers and Node scripts.
+ * @module random
+ */
+
+/** FNV-1a 32-bit offset basis and prime, for hashing text seeds. */
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+const UINT32_RANGE = 4294967296;
+const MULBERRY_INCREMENT = 0x6d2b79f5;
+
+/**
+ * Normalizes a seed to an unsigned 32-bit integer.
+ * Integer strings ("42") keep their value; other text ("studio") is hashed.
+ * @param {number|string} seed - Seed from options or a URL parameter
+ * @returns {number|null} Unsigned 32-bit seed, or null when empty/invalid
+ */
+export function toSeed(seed) {
+  if (typeof seed === 'number') {
+    return Number.isFinite(seed) ? Math.trunc(seed) >>> 0 : null;
+  }
+  const text = String(seed ?? '').trim();
+  if (!text) {
+    return null;
+  }
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+  let hash = FNV_OFFSET;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), FNV_PRIME);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a `Math.random`-compatible generator that returns the same sequence for the same seed.
+ * @param {number} seed - Unsigned 32-bit seed (see `toSeed`)
+ * @returns {() => number} Generator of floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + MULBERRY_INCREMENT) >>> 0;
+    let t = state;
+    /* eslint-disable no-magic-numbers -- mulberry32 shift/mix constants */
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+    /* eslint-enable no-magic-numbers */
+  };
+}
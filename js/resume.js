@@ -0,0 +1,459 @@
+/**
+ * Resume Renderer — builds experience, skills, testimonials and contact markup
+ * from `data/resume.json` (JSON Resume shape with per-language text).
+ * Translatable fields are either plain strings or `{ en, es, … }` objects.
+ * A role or bullet may carry a `home` object whose fields replace the shared (CV) ones on the
+ * homepage timeline, e.g. a shorter title or the homepage's wording of a bullet.
+ * Periods, durations and the years-of-experience figure are computed from ISO dates (js/dates.js).
+ * Call {@link initResume} before {@link initI18n} so the first language switch renders content.
+ * @module resume
+ */
+
+import { getCurrentLang, onLangChange, t } from './i18n.js';
+import { formatDate, formatDuration, formatSince, monthsBetween, totalExperienceYears } from './dates.js';
+import { sanitizeInput } from './utils.js';
+import { COMPACT_DETAILED_ROLES } from './pdf-variants.js';
+
+const RESUME_URL = 'data/resume.json';
+const DEFAULT_LANG = 'en';
+const LANG_CODE_PATTERN = /^[a-z]{2}$/;
+const MAX_STAGGER = 6;
+
+/** @type {Object|null} Loaded resume data (all languages) */
+let resumeData = null;
+
+/** @type {(resume: Object) => Object} Applied before each render (the CV page's focus filter) */
+let resumeFilter = (resume) => resume;
+
+/**
+ * Escapes a value for use in element content or double-quoted attributes.
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml(value) {
+  return sanitizeInput(String(value ?? '')).replace(/"/g, '&quot;');
+}
+
+/**
+ * Whether a value is a per-language text map such as `{ "en": "…", "es": "…" }`.
+ * @param {*} value - Candidate value
+ * @returns {boolean} True for localized text maps
+ */
+function isLocalizedText(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return keys.length > 0
+    && keys.includes(DEFAULT_LANG)
+    && keys.every((key) => LANG_CODE_PATTERN.test(key) && typeof value[key] === 'string');
+}
+
+/**
+ * Whether a value is a tagged entry such as `{ "text": …, "focus": ["backend"] }` (experience
+ * bullets and skill keywords, see js/cv-focus.js). Keywords also carry an `id`, bullets the
+ * `skills` ids they used (js/skill-links.js).
+ * @param {*} value - Candidate value
+ * @returns {boolean} True for tagged entries
+ */
+function isTagged(value) {
+  return Boolean(value) && typeof value === 'object' && 'text' in value && Array.isArray(value.focus);
+}
+
+/**
+ * Homepage copy of a role or bullet: its `home` overrides applied over the shared fields.
+ * @param {Object} entry - Work entry or tagged highlight
+ * @returns {Object} Entry as the homepage shows it
+ */
+function homeCopy(entry) {
+  return entry?.home ? { ...entry, ...entry.home } : entry;
+}
+
+/**
+ * Resolves a translatable field to a string for the given language.
+ * Falls back to the default language, then to the first available translation.
+ * @param {string|Object<string, string>|undefined} value - Plain, localized or focus-tagged text
+ * @param {string} lang - Language code
+ * @returns {string} Resolved text ('' when missing)
+ */
+export function localize(value, lang) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (isTagged(value)) {
+    return localize(value.text, lang);
+  }
+  if (!isLocalizedText(value)) {
+    return '';
+  }
+  return value[lang] ?? value[DEFAULT_LANG] ?? Object.values(value)[0];
+}
+
+/**
+ * Deep-resolves every localized field, producing a plain JSON Resume document.
+ * @param {*} value - Resume (or any nested part of it)
+ * @param {string} lang - Language code
+ * @returns {*} Copy with localized text maps and focus-tagged entries replaced by strings, and
+ *   the homepage-only `home` overrides left out
+ */
+export function localizeResume(value, lang) {
+  if (isLocalizedText(value) || isTagged(value)) {
+    return localize(value, lang);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => localizeResume(item, lang));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => key !== 'home')
+        .map(([key, item]) => [key, localizeResume(item, lang)]),
+    );
+  }
+  return value;
+}
+
+/**
+ * Fetches the resume data once per page load.
+ * @returns {Promise<Object|null>} Resume data, or null when it cannot be loaded
+ */
+export async function loadResume() {
+  if (resumeData) {
+    return resumeData;
+  }
+  try {
+    const response = await fetch(RESUME_URL, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Failed to load resume.json: ${response.status}`);
+    }
+    resumeData = await response.json();
+  } catch (_error) {
+    resumeData = null;
+  }
+  return resumeData;
+}
+
+/**
+ * Formats `basics.location` for display, e.g. "Paraná, Argentina (Remote)".
+ * @param {Object} location - JSON Resume location object
+ * @param {{ withRegion?: boolean, remoteLabel?: string }} [options] - Include the region (CV
+ *   header); label for remote work (build scripts pass it, having no loaded translations)
+ * @returns {string} Display text
+ */
+export function formatLocation(location, { withRegion = false, remoteLabel = t('contact.remote') } = {}) {
+  if (!location) {
+    return '';
+  }
+  const parts = [location.city, withRegion ? location.region : null, location.country]
+    .filter(Boolean);
+  const place = parts.join(', ');
+  return location.remote ? `${place} (${remoteLabel})` : place;
+}
+
+/**
+ * Returns the stagger utility class for the nth card in a grid.
+ * @param {number} index - Zero-based position
+ * @returns {string} Class name
+ */
+function staggerClass(index) {
+  return `stagger-${Math.min(index + 1, MAX_STAGGER)}`;
+}
+
+/**
+ * Renders list items for a role's highlights.
+ * @param {Array} highlights - Localized highlight texts
+ * @param {string} lang - Language code
+ * @returns {string} `<li>` markup
+ */
+function renderHighlights(highlights, lang) {
+  return (highlights || [])
+    .map((item) => `<li${skillsAttr(item.skills)}>${escapeHtml(localize(item, lang))}</li>`)
+    .join('');
+}
+
+/**
+ * `data-skills` attribute listing skill keyword ids, for js/skill-links.js.
+ * @param {string[]|undefined} ids - Skill ids
+ * @returns {string} Attribute markup ('' when there are none)
+ */
+function skillsAttr(ids) {
+  return ids?.length ? ` data-skills="${escapeHtml(ids.join(' '))}"` : '';
+}
+
+/**
+ * Renders a localized "Apr 2022 — Present" period as `<time>` elements.
+ * Ongoing roles get a relative "started … ago" title on their start date.
+ * @param {{ startDate?: string, endDate?: string }} item - Role or education entry
+ * @param {string} lang - Language code
+ * @param {{ withDuration?: boolean }} [options] - Append the computed duration
+ * @returns {string} Period markup
+ */
+function renderPeriod(item, lang, { withDuration = false } = {}) {
+  const startTitle = item.endDate ? '' : ` title="${escapeHtml(formatSince(item.startDate, lang))}"`;
+  const start = `<time datetime="${escapeHtml(item.startDate)}"${startTitle}>${escapeHtml(formatDate(item.startDate, lang))}</time>`;
+  const end = item.endDate
+    ? `<time datetime="${escapeHtml(item.endDate)}">${escapeHtml(formatDate(item.endDate, lang))}</time>`
+    : escapeHtml(t('experience.present'));
+  const duration = withDuration
+    ? ` · ${escapeHtml(formatDuration(monthsBetween(item.startDate, item.endDate), lang))}`
+    : '';
+  return `${start} — ${end}${duration}`;
+}
+
+/* ── Homepage renderers ── */
+
+function renderTimeline(resume, lang) {
+  return (resume.work || []).map((role) => {
+    const position = localize(homeCopy(role).position, lang);
+    const isCurrent = !role.endDate;
+    const skills = [...new Set((role.highlights || []).flatMap((item) => item.skills || []))];
+    return `
+      <article class="timeline__entry animate-on-scroll" aria-label="${escapeHtml(`${position}, ${role.name}`)}"${isCurrent ? ' aria-current="step"' : ''}${skillsAttr(skills)}>
+        <div class="timeline__dot${isCurrent ? ' timeline__dot--current' : ''}" aria-hidden="true"></div>
+        <div class="timeline__header">
+          <h3 class="timeline__role">${escapeHtml(position)}</h3>
+          <p class="timeline__company">${escapeHtml(role.name)}</p>
+          <div class="timeline__meta">
+            <span><i class="fas fa-calendar-alt" aria-hidden="true"></i> <span>${renderPeriod(role, lang, { withDuration: true })}</span></span>
+            <span><i class="fas fa-map-marker-alt" aria-hidden="true"></i> <span>${escapeHtml(localize(role.location, lang))}</span></span>
+          </div>
+        </div>
+        <ul class="timeline__bullets">${renderHighlights((role.highlights || []).map(homeCopy), lang)}</ul>
+      </article>`;
+  }).join('');
+}
+
+/* Keywords used by some role's bullets become toggle buttons (js/skill-links.js); the rest stay plain tags. */
+function renderSkillsGrid(resume, lang) {
+  const used = new Set((resume.work || []).flatMap((role) => (role.highlights || []).flatMap((item) => item.skills || [])));
+  const renderKeyword = (kw) => (kw.id && used.has(kw.id)
+    ? `<button type="button" class="tag tag--skill" data-skill="${escapeHtml(kw.id)}" aria-pressed="false">${escapeHtml(localize(kw, lang))}</button>`
+    : `<span class="tag">${escapeHtml(localize(kw, lang))}</span>`);
+  return (resume.skills || []).map((group, index) => `
+      <div class="card skills__category animate-on-scroll ${staggerClass(index)}">
+        <div class="skills__category-icon" aria-hidden="true"><i class="${escapeHtml(group.icon)}"></i></div>
+        <h3 class="skills__category-title">${escapeHtml(localize(group.name, lang))}</h3>
+        <div class="skills__tags">
+          ${(group.keywords || []).map(renderKeyword).join('')}
+        </div>
+      </div>`).join('');
+}
+
+function renderTestimonials(resume, lang) {
+  return (resume.references || []).map((ref, index) => `
+      <article class="card testimonial animate-on-scroll ${staggerClass(index)}" aria-label="${escapeHtml(`${t('testimonials.item_label')} ${ref.name}`)}">
+        <span class="testimonial__quote-mark" aria-hidden="true">"</span>
+        <blockquote class="testimonial__text">${escapeHtml(localize(ref.reference, lang))}</blockquote>
+        <div class="testimonial__author">
+          <div class="testimonial__avatar" aria-hidden="true">${escapeHtml(ref.initials)}</div>
+          <div>
+            <p class="testimonial__name">${escapeHtml(ref.name)}</p>
+            <p class="testimonial__role">${escapeHtml(localize(ref.role, lang))}</p>
+          </div>
+        </div>
+      </article>`).join('');
+}
+
+function renderContactCards(resume) {
+  const { email, location, profiles = [] } = resume.basics || {};
+  const card = ({ href, icon, title, value, external }) => {
+    const inner = `
+        <div class="contact__card-icon"><i class="${icon}" aria-hidden="true"></i></div>
+        <h3 class="contact__card-title">${escapeHtml(title)}</h3>
+        <span class="contact__card-value">${escapeHtml(value)}</span>`;
+    if (!href) {
+      return `<div class="contact__card card">${inner}</div>`;
+    }
+    const rel = external ? ' target="_blank" rel="noopener noreferrer"' : '';
+    return `<a href="${escapeHtml(href)}"${rel} class="contact__card card">${inner}</a>`;
+  };
+
+  return [
+    email && card({
+      href: `mailto:${email}`, icon: 'fas fa-envelope', title: t('contact.email_title'), value: email,
+    }),
+    ...profiles.map((profile) => card({
+      href: profile.url,
+      icon: `fab fa-${profile.network.toLowerCase()}`,
+      title: profile.network,
+      value: profile.username,
+      external: true,
+    })),
+    location && card({
+      icon: 'fas fa-map-marker-alt', title: t('contact.location_title'), value: formatLocation(location),
+    }),
+  ].filter(Boolean).join('');
+}
+
+/* ── CV renderers ── */
+
+/* Roles past COMPACT_DETAILED_ROLES are marked so the one-page print layout can drop their bullets. */
+function renderCvExperience(resume, lang) {
+  return (resume.work || []).map((role, index) => `
+      <article class="cv__xp-item${index >= COMPACT_DETAILED_ROLES ? ' cv__xp-item--earlier' : ''}">
+        <h3 class="cv__xp-role">${escapeHtml(localize(role.position, lang))}</h3>
+        <p class="cv__xp-company">${escapeHtml(role.name)}</p>
+        <div class="cv__xp-meta">
+          <span><i class="fas fa-calendar-alt" aria-hidden="true"></i> <span>${renderPeriod(role, lang, { withDuration: true })}</span></span>
+          <span><i class="fas fa-map-marker-alt" aria-hidden="true"></i> <span>${escapeHtml(localize(role.location, lang))}</span></span>
+        </div>
+        ${role.highlights?.length ? `<ul class="cv__xp-bullets">${renderHighlights(role.highlights, lang)}</ul>` : ''}
+      </article>`).join('');
+}
+
+function renderCvEducation(resume, lang) {
+  return (resume.education || []).map((item) => `
+      <div class="cv__edu-item">
+        <p class="cv__edu-degree">${escapeHtml(localize(item.area, lang))}</p>
+        <p class="cv__edu-school">${escapeHtml(localize(item.institution, lang))}</p>
+        <p class="cv__edu-date">${renderPeriod(item, lang)}</p>
+      </div>`).join('');
+}
+
+function renderCvSkills(resume, lang) {
+  return (resume.skills || []).map((group) => `
+      <div class="cv__skill-group">
+        <p class="cv__skill-label">${escapeHtml(localize(group.name, lang))}</p>
+        <div class="cv__skill-tags">
+          ${(group.keywords || []).map((kw) => `<span class="tag">${escapeHtml(localize(kw, lang))}</span>`).join('')}
+        </div>
+      </div>`).join('');
+}
+
+function renderCvLanguages(resume, lang) {
+  return (resume.languages || []).map((item) => `
+      <div class="cv__lang-item">
+        <span>${escapeHtml(localize(item.language, lang))}</span>
+        <span class="cv__lang-level">${escapeHtml(localize(item.fluency, lang))}</span>
+      </div>`).join('');
+}
+
+/* Print only: shown when the print options (js/cv-print.js) include testimonials. */
+function renderCvTestimonials(resume, lang) {
+  return (resume.references || []).map((ref) => `
+      <figure class="cv__quote">
+        <blockquote class="cv__quote-text">${escapeHtml(localize(ref.reference, lang))}</blockquote>
+        <figcaption class="cv__quote-author">${escapeHtml(ref.name)} · ${escapeHtml(localize(ref.role, lang))}</figcaption>
+      </figure>`).join('');
+}
+
+function renderCvContact(resume) {
+  const { email, url, location, profiles = [] } = resume.basics || {};
+  const item = (icon, content) => `
+      <span class="cv__contact-item">
+        <i class="${icon}" aria-hidden="true"></i>
+        ${content}
+      </span>`;
+  const external = (href, label) => `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>`;
+
+  return [
+    email && item('fas fa-envelope', `<a href="mailto:${escapeHtml(email)}">${escapeHtml(email)}</a>`),
+    ...profiles.map((profile) => item(`fab fa-${profile.network.toLowerCase()}`, external(profile.url, profile.network))),
+    url && item('fas fa-globe', external(url, t('cv.website_label'))),
+    location && item('fas fa-map-marker-alt', escapeHtml(formatLocation(location, { withRegion: true }))),
+  ].filter(Boolean).join('');
+}
+
+/** Renderers keyed by the `data-resume-render` attribute of their container. */
+const RENDERERS = {
+  'timeline': renderTimeline,
+  'skills-grid': renderSkillsGrid,
+  'testimonials': renderTestimonials,
+  'contact-cards': renderContactCards,
+  'cv-experience': renderCvExperience,
+  'cv-education': renderCvEducation,
+  'cv-skills': renderCvSkills,
+  'cv-languages': renderCvLanguages,
+  'cv-testimonials': renderCvTestimonials,
+  'cv-contact': renderCvContact,
+};
+
+/**
+ * Renders every resume container and `data-resume` text binding on the page.
+ * Re-renders reveal `.animate-on-scroll` items immediately, since the scroll
+ * observer only watches nodes present at init.
+ * @param {Object} resume - Resume data
+ * @param {string} lang - Language code
+ */
+export function renderResume(resume, lang) {
+  if (!resume) {
+    return;
+  }
+
+  document.querySelectorAll('[data-resume]').forEach((el) => {
+    const path = el.getAttribute('data-resume');
+    const value = path.split('.').reduce((acc, key) => (acc ? acc[key] : undefined), resume);
+    const text = localize(value, lang);
+    if (text) {
+      el.textContent = text;
+    }
+  });
+
+  document.querySelectorAll('[data-resume-render]').forEach((container) => {
+    const render = RENDERERS[container.getAttribute('data-resume-render')];
+    if (!render) {
+      return;
+    }
+    const isRerender = container.hasAttribute('data-resume-rendered');
+    container.innerHTML = render(resume, lang);
+    container.setAttribute('data-resume-rendered', '');
+    if (isRerender) {
+      container.querySelectorAll('.animate-on-scroll').forEach((el) => {
+        el.classList.add('animate-on-scroll--visible');
+      });
+    }
+  });
+}
+
+/**
+ * Merges computed figures (e.g. `years` of experience) into the `data-i18n-params`
+ * of elements that list them in `data-resume-params`, ready for the next translation pass.
+ * @param {Object} resume - Resume data
+ */
+function applyResumeParams(resume) {
+  const stats = { years: totalExperienceYears(resume.work) };
+  document.querySelectorAll('[data-resume-params]').forEach((el) => {
+    let params = {};
+    try {
+      params = JSON.parse(el.getAttribute('data-i18n-params') || '{}');
+    } catch (_error) {
+      params = {};
+    }
+    el.getAttribute('data-resume-params').split(/\s+/).forEach((name) => {
+      if (name in stats) {
+        params[name] = stats[name];
+      }
+    });
+    el.setAttribute('data-i18n-params', JSON.stringify(params));
+  });
+}
+
+/**
+ * Loads the resume and re-renders it on every language change.
+ * @param {{ filter?: (resume: Object) => Object }} [options] - Transform applied before each render
+ * @returns {Promise<Object|null>} Resume data
+ */
+export async function initResume({ filter } = {}) {
+  const resume = await loadResume();
+  if (resume) {
+    applyResumeParams(resume);
+  }
+  if (filter) {
+    resumeFilter = filter;
+  }
+  onLangChange((lang) => {
+    renderResume(resume && resumeFilter(resume), lang);
+  });
+  return resume;
+}
+
+/**
+ * Replaces the transform applied before each render and re-renders in the current language.
+ * @param {(resume: Object) => Object} filter - e.g. `(resume) => focusResume(resume, focus)`
+ */
+export function setResumeFilter(filter) {
+  resumeFilter = filter;
+  if (resumeData) {
+    renderResume(resumeFilter(resumeData), getCurrentLang());
+  }
+}
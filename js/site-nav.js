@@ -1,6 +1,7 @@
 /**
  * Shared site navigation — one markup source for index, CV, and banner pages.
- * Call {@link renderSiteNav} before {@link initI18n} so `data-i18n` nodes exist.
+ * Call {@link renderSiteNav} before {@link initI18n} so `data-i18n` nodes exist
+ * and the language and theme picker shells can be filled by i18n.js and theme.js.
  * @module site-nav
  */
 
@@ -59,13 +60,26 @@ export function renderSiteNav(page) {
             </nav>
 
             <div class="nav__actions">
-                <button class="nav__lang-toggle" data-lang-toggle aria-label="Switch language">
-                    <span>EN</span>
-                </button>
-                <button class="nav__theme-toggle" data-theme-toggle aria-label="Toggle dark mode">
-                    <i class="fas fa-sun nav__theme-icon nav__theme-icon--sun" aria-hidden="true"></i>
-                    <i class="fas fa-moon nav__theme-icon nav__theme-icon--moon" aria-hidden="true"></i>
-                </button>
+                <div class="nav__menu" data-lang-picker>
+                    <button class="nav__lang-toggle" data-lang-toggle aria-label="Change language"
+                            aria-haspopup="listbox" aria-expanded="false" aria-controls="nav-lang-menu">
+                        <span>EN</span>
+                    </button>
+                    <ul class="nav__menu-list" id="nav-lang-menu" role="listbox" data-lang-menu
+                        data-i18n-aria="nav.language_menu" aria-label="Languages" hidden></ul>
+                </div>
+                <div class="nav__menu" data-theme-picker>
+                    <button class="nav__theme-toggle" data-theme-toggle data-i18n-aria="theme.toggle_label"
+                            aria-label="Change color theme" aria-haspopup="listbox" aria-expanded="false"
+                            aria-controls="nav-theme-menu">
+                        <i class="fas fa-desktop nav__theme-icon nav__theme-icon--system" aria-hidden="true"></i>
+                        <i class="fas fa-sun nav__theme-icon nav__theme-icon--light" aria-hidden="true"></i>
+                        <i class="fas fa-moon nav__theme-icon nav__theme-icon--dark" aria-hidden="true"></i>
+                        <i class="fas fa-circle-half-stroke nav__theme-icon nav__theme-icon--contrast" aria-hidden="true"></i>
+                    </button>
+                    <ul class="nav__menu-list" id="nav-theme-menu" role="listbox" data-theme-menu
+                        data-i18n-aria="theme.menu_label" aria-label="Color theme" hidden></ul>
+                </div>
                 <button class="nav__mobile-toggle" id="mobile-toggle" aria-label="Toggle menu" aria-expanded="false" aria-controls="nav-links">
                     <span class="hamburger"></span>
                 </button>
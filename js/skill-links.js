@@ -0,0 +1,154 @@
+/**
+ * Skill Links — connects homepage skill tags to the experience timeline
+ * Bullets in data/resume.json list the skill keyword ids they used (`"skills": ["redis"]`), which
+ * the renderers expose as `data-skill` / `data-skills` (js/resume.js). Focusing a skill tag
+ * previews where it was used; clicking pins it and sets `#skills=redis`, so the view can be
+ * linked. Matching roles and bullets are highlighted and a status line gives the role count and
+ * the time span they cover. Escape clears the selection.
+ * @module skill-links
+ */
+
+import { getCurrentLang, onLangChange, t } from './i18n.js';
+import { coveredMonths, formatDuration } from './dates.js';
+
+const HASH_PREFIX = '#skills=';
+
+/**
+ * Roles with at least one bullet tagged with a skill.
+ * @param {Object} resume - Resume data
+ * @param {string} id - Skill keyword id
+ * @returns {Object[]} Matching roles, in resume order
+ */
+export function rolesUsingSkill(resume, id) {
+  return (resume?.work || []).filter((role) => (role.highlights || []).some((item) => item.skills?.includes(id)));
+}
+
+/** @returns {string|null} Skill id from a `#skills=<id>` hash */
+function readHash() {
+  const { hash } = window.location;
+  if (!hash.startsWith(HASH_PREFIX)) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(hash.slice(HASH_PREFIX.length)).toLowerCase() || null;
+  } catch (_err) {
+    /* Malformed escape in a hand-edited link: ignore it like an unknown skill */
+    return null;
+  }
+}
+
+/**
+ * Mirrors the pinned skill in the URL without adding history entries.
+ * @param {string|null} id - Skill id, or null to clear the hash
+ */
+function writeHash(id) {
+  const url = new URL(window.location.href);
+  url.hash = id ? `${HASH_PREFIX.slice(1)}${encodeURIComponent(id)}` : '';
+  history.replaceState(null, '', url);
+}
+
+/** @returns {boolean} Whether an element's `data-skills` lists the skill */
+function usesSkill(el, id) {
+  return id !== null && (el.dataset.skills || '').split(' ').includes(id);
+}
+
+/**
+ * Wires the skill tags (`[data-skill]` in the skills grid) to the timeline and the usage
+ * status (`[data-skill-usage]`). Call before initI18n(), after initResume(): the first
+ * language change renders both sections, then this pass applies the selection.
+ * @param {Object|null} resume - Resume data from initResume()
+ */
+export function initSkillLinks(resume) {
+  const grid = document.querySelector('[data-resume-render="skills-grid"]');
+  const timeline = document.querySelector('[data-resume-render="timeline"]');
+  const status = document.querySelector('[data-skill-usage]');
+  if (!resume || !grid || !timeline) {
+    return;
+  }
+
+  let pinned = readHash();
+  let preview = null;
+  let scrollPending = pinned !== null;
+  const tags = () => Array.from(grid.querySelectorAll('[data-skill]'));
+
+  function apply() {
+    /* Deep links to unknown or unlinked skills select nothing (once the tags have rendered:
+       a hash change can arrive before the first language change draws them) */
+    if (pinned !== null && tags().length > 0 && !tags().some((tag) => tag.dataset.skill === pinned)) {
+      pinned = null;
+      writeHash(null);
+    }
+    const active = preview ?? pinned;
+
+    tags().forEach((tag) => {
+      tag.setAttribute('aria-pressed', String(tag.dataset.skill === pinned));
+      tag.classList.toggle('tag--skill-active', tag.dataset.skill === active);
+    });
+    timeline.classList.toggle('timeline--skill', active !== null);
+    timeline.querySelectorAll('.timeline__entry').forEach((entry) => {
+      entry.classList.toggle('timeline__entry--match', usesSkill(entry, active));
+    });
+    timeline.querySelectorAll('.timeline__bullets li').forEach((bullet) => {
+      bullet.classList.toggle('timeline__bullet--match', usesSkill(bullet, active));
+    });
+
+    if (status) {
+      const roles = active === null ? [] : rolesUsingSkill(resume, active);
+      const activeTag = tags().find((tag) => tag.dataset.skill === active);
+      status.textContent = !activeTag
+        ? t('skills.usage_hint')
+        : t('skills.usage', {
+          skill: activeTag.textContent,
+          roles: roles.length,
+          duration: formatDuration(coveredMonths(roles), getCurrentLang()),
+        });
+    }
+
+    /* A deep link scrolls to the skills once, after the first render */
+    const scrollToSkills = scrollPending && pinned !== null;
+    scrollPending = false;
+    if (scrollToSkills) {
+      document.getElementById('skills')?.scrollIntoView();
+    }
+  }
+
+  grid.addEventListener('click', (event) => {
+    const tag = event.target.closest('[data-skill]');
+    if (!tag) {
+      return;
+    }
+    pinned = pinned === tag.dataset.skill ? null : tag.dataset.skill;
+    preview = pinned;
+    writeHash(pinned);
+    apply();
+  });
+  grid.addEventListener('focusin', (event) => {
+    const tag = event.target.closest('[data-skill]');
+    if (tag) {
+      preview = tag.dataset.skill;
+      apply();
+    }
+  });
+  grid.addEventListener('focusout', () => {
+    preview = null;
+    apply();
+  });
+  grid.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && (pinned !== null || preview !== null)) {
+      pinned = null;
+      preview = null;
+      writeHash(null);
+      apply();
+    }
+  });
+  window.addEventListener('hashchange', () => {
+    pinned = readHash();
+    apply();
+  });
+
+  /* Re-rendered tags and bullets lose their classes (and focus) on every language change */
+  onLangChange(() => {
+    preview = null;
+    apply();
+  });
+}
@@ -0,0 +1,161 @@
+/**
+ * Spatial Grid — uniform-grid spatial hash for particle neighbor search
+ * Cells are as wide as the search distance, so any pair closer than that sits in the
+ * same or an adjacent cell. The grid is rebuilt per frame with a counting sort (O(n)),
+ * and pairs are found by scanning each cell against half of its neighbors so every
+ * pair is visited once. No DOM access: usable from workers and Node benchmarks.
+ * @module spatial-grid
+ */
+
+/** Right, below-left, below, below-right: with the cell itself, covers each adjacent pair once. */
+const HALF_NEIGHBORHOOD = [
+  [1, 0],
+  [-1, 1],
+  [0, 1],
+  [1, 1],
+];
+
+/**
+ * @typedef {{ x: number, y: number }} Point
+ * @callback PairCallback
+ * @param {number} i - Index of the first point
+ * @param {number} j - Index of the second point
+ * @param {number} distance - Distance between them
+ */
+
+/**
+ * Creates a reusable grid; typed arrays grow as needed and are reused across frames.
+ * @param {number} cellSize - Cell width/height, normally the connection distance
+ * @returns {{
+ *   rebuild: (points: Point[], width: number, height: number) => void,
+ *   forEachPair: (points: Point[], maxDistance: number, callback: PairCallback) => void,
+ * }}
+ */
+export function createSpatialGrid(cellSize) {
+  let cols = 0;
+  let rows = 0;
+  /** Start offset of each cell in `order` (length cells + 1) */
+  let cellStart = new Int32Array(1);
+  /** Point indices sorted by cell */
+  let order = new Int32Array(0);
+  /** Cell index of each point */
+  let pointCell = new Int32Array(0);
+  /** Next free slot per cell while filling `order` */
+  let cursor = new Int32Array(0);
+
+  function cellOf(value, count) {
+    const cell = Math.floor(value / cellSize);
+    if (cell < 0) {
+      return 0;
+    }
+    return cell >= count ? count - 1 : cell;
+  }
+
+  /**
+   * Buckets points into cells for the current frame.
+   * @param {Point[]} points - Particle positions
+   * @param {number} width - Field width
+   * @param {number} height - Field height
+   */
+  function rebuild(points, width, height) {
+    cols = Math.max(1, Math.ceil(width / cellSize));
+    rows = Math.max(1, Math.ceil(height / cellSize));
+    const cellCount = cols * rows;
+
+    if (cellStart.length < cellCount + 1) {
+      cellStart = new Int32Array(cellCount + 1);
+      cursor = new Int32Array(cellCount);
+    } else {
+      cellStart.fill(0, 0, cellCount + 1);
+    }
+    if (order.length < points.length) {
+      order = new Int32Array(points.length);
+      pointCell = new Int32Array(points.length);
+    }
+
+    for (let i = 0; i < points.length; i++) {
+      const cell = cellOf(points[i].y, rows) * cols + cellOf(points[i].x, cols);
+      pointCell[i] = cell;
+      cellStart[cell + 1]++;
+    }
+    for (let c = 0; c < cellCount; c++) {
+      cellStart[c + 1] += cellStart[c];
+    }
+    cursor.set(cellStart.subarray(0, cellCount));
+    for (let i = 0; i < points.length; i++) {
+      order[cursor[pointCell[i]]++] = i;
+    }
+  }
+
+  /**
+   * Calls `callback` for every pair closer than `maxDistance` (which must not exceed `cellSize`).
+   * @param {Point[]} points - Same array passed to `rebuild`
+   * @param {number} maxDistance - Connection distance
+   * @param {PairCallback} callback - Receives each close pair once
+   */
+  function forEachPair(points, maxDistance, callback) {
+    const maxSq = maxDistance * maxDistance;
+
+    const visit = (i, j) => {
+      const dx = points[i].x - points[j].x;
+      const dy = points[i].y - points[j].y;
+      const distSq = dx * dx + dy * dy;
+      if (distSq < maxSq) {
+        callback(i, j, Math.sqrt(distSq));
+      }
+    };
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const cell = row * cols + col;
+        const start = cellStart[cell];
+        const end = cellStart[cell + 1];
+        if (start === end) {
+          continue;
+        }
+
+        for (let a = start; a < end; a++) {
+          for (let b = a + 1; b < end; b++) {
+            visit(order[a], order[b]);
+          }
+        }
+
+        for (const [dc, dr] of HALF_NEIGHBORHOOD) {
+          const nCol = col + dc;
+          const nRow = row + dr;
+          if (nCol < 0 || nCol >= cols || nRow >= rows) {
+            continue;
+          }
+          const neighbor = nRow * cols + nCol;
+          for (let a = start; a < end; a++) {
+            for (let b = cellStart[neighbor]; b < cellStart[neighbor + 1]; b++) {
+              visit(order[a], order[b]);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return { rebuild, forEachPair };
+}
+
+/**
+ * Reference all-pairs search (O(n²)) — kept for benchmarks and correctness checks.
+ * @param {Point[]} points - Particle positions
+ * @param {number} maxDistance - Connection distance
+ * @param {PairCallback} callback - Receives each close pair once
+ */
+export function forEachPairBruteForce(points, maxDistance, callback) {
+  const maxSq = maxDistance * maxDistance;
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const dx = points[i].x - points[j].x;
+      const dy = points[i].y - points[j].y;
+      const distSq = dx * dx + dy * dy;
+      if (distSq < maxSq) {
+        callback(i, j, Math.sqrt(distSq));
+      }
+    }
+  }
+}
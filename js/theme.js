@@ -1,30 +1,62 @@
 /**
- * Theme Module — Dark/light mode toggle with system preference detection
- * Persists preference in localStorage, falls back to OS prefers-color-scheme.
+ * Theme Module — System/light/dark/high-contrast themes with a nav menu
+ * The stored value is a preference; `system` follows the OS (`prefers-color-scheme`,
+ * and `prefers-contrast: more` / `forced-colors: active` select the high-contrast palette)
+ * and keeps following it until another preference is picked.
+ * Sets `data-theme` (resolved palette) and `data-theme-preference` on <html>.
+ * Persists preference in localStorage, supports ?theme= URL parameter.
  * @module theme
  */
 
+import { initNavMenu, updateNavMenu } from './nav-menu.js';
+
 const STORAGE_KEY = 'jcv-theme';
+const THEME_SYSTEM = 'system';
 const THEME_DARK = 'dark';
 const THEME_LIGHT = 'light';
+const THEME_CONTRAST = 'contrast';
+const PREFERENCES = [THEME_SYSTEM, THEME_LIGHT, THEME_DARK, THEME_CONTRAST];
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+const CONTRAST_QUERIES = ['(prefers-contrast: more)', '(forced-colors: active)'];
+
+/** Menu options, in display order. Labels are replaced by i18n. */
+const THEME_OPTIONS = [
+  { value: THEME_SYSTEM, label: 'System', icon: 'fas fa-desktop', i18n: 'theme.options.system' },
+  { value: THEME_LIGHT, label: 'Light', icon: 'fas fa-sun', i18n: 'theme.options.light' },
+  { value: THEME_DARK, label: 'Dark', icon: 'fas fa-moon', i18n: 'theme.options.dark' },
+  { value: THEME_CONTRAST, label: 'High contrast', icon: 'fas fa-circle-half-stroke', i18n: 'theme.options.contrast' },
+];
+
+/** @type {string} Active preference */
+let currentPreference = THEME_SYSTEM;
+
+function matches(query) {
+  return Boolean(window.matchMedia && window.matchMedia(query).matches);
+}
 
 /**
- * Determines the initial theme based on stored preference or OS setting.
- * @returns {'dark'|'light'} The resolved theme
+ * Determines the initial preference from URL, stored choice, or page default.
+ * The banner page defaults to dark so exports match the studio preview.
+ * @returns {string} One of PREFERENCES
  */
-function getInitialTheme() {
+function getInitialPreference() {
   try {
     const urlTheme = new URLSearchParams(window.location.search).get('theme');
-    if (urlTheme === THEME_DARK || urlTheme === THEME_LIGHT) {
+    if (PREFERENCES.includes(urlTheme)) {
       return urlTheme;
     }
   } catch (_error) {
     /* Ignore invalid URL */
   }
 
-  const stored = localStorage.getItem(STORAGE_KEY);
-  if (stored === THEME_DARK || stored === THEME_LIGHT) {
-    return stored;
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (PREFERENCES.includes(stored)) {
+      return stored;
+    }
+  } catch (_error) {
+    /* Ignore localStorage failures in privacy-restricted environments */
   }
 
   try {
@@ -36,63 +68,74 @@ function getInitialTheme() {
     /* Ignore */
   }
 
-  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-  return prefersDark ? THEME_DARK : THEME_LIGHT;
+  return THEME_SYSTEM;
 }
 
 /**
- * Applies the given theme to the document and updates toggle icon.
- * @param {string} theme - 'dark' or 'light'
+ * Resolves a preference to the palette that is actually applied.
+ * @param {string} preference - One of PREFERENCES
+ * @returns {'dark'|'light'|'contrast'} Palette name
  */
-function applyTheme(theme) {
-  document.documentElement.setAttribute('data-theme', theme);
-  try {
-    localStorage.setItem(STORAGE_KEY, theme);
-  } catch (_error) {
-    /* Ignore localStorage failures in privacy-restricted environments */
+function resolveTheme(preference) {
+  if (preference !== THEME_SYSTEM) {
+    return preference;
+  }
+  if (CONTRAST_QUERIES.some(matches)) {
+    return THEME_CONTRAST;
   }
+  return matches(DARK_QUERY) ? THEME_DARK : THEME_LIGHT;
+}
+
+/**
+ * Applies a preference to the document and reflects it in the theme menus.
+ * @param {string} preference - One of PREFERENCES
+ */
+function applyTheme(preference) {
+  currentPreference = preference;
+  const root = document.documentElement;
+  root.setAttribute('data-theme', resolveTheme(preference));
+  root.setAttribute('data-theme-preference', preference);
 
-  const toggleButtons = document.querySelectorAll('[data-theme-toggle]');
-  toggleButtons.forEach((btn) => {
-    btn.setAttribute('aria-label',
-      theme === THEME_DARK ? 'Switch to light mode' : 'Switch to dark mode'
-    );
+  document.querySelectorAll('[data-theme-picker]').forEach((picker) => {
+    updateNavMenu(picker, { current: preference });
   });
 }
 
 /**
- * Toggles between dark and light themes.
+ * Applies and stores a preference picked from the menu.
+ * @param {string} preference - One of PREFERENCES
  */
-function toggleTheme() {
-  const current = document.documentElement.getAttribute('data-theme');
-  const next = current === THEME_DARK ? THEME_LIGHT : THEME_DARK;
-  applyTheme(next);
+function selectTheme(preference) {
+  if (!PREFERENCES.includes(preference)) {
+    return;
+  }
+  try {
+    localStorage.setItem(STORAGE_KEY, preference);
+  } catch (_error) {
+    /* Ignore localStorage failures in privacy-restricted environments */
+  }
+  applyTheme(preference);
 }
 
 /**
  * Initializes the theme system.
- * Sets initial theme, binds toggle buttons, and listens for OS changes.
+ * Sets initial theme, builds the nav theme menus, and follows OS changes in system mode.
  */
 export function initTheme() {
-  const initialTheme = getInitialTheme();
-  applyTheme(initialTheme);
-
-  document.querySelectorAll('[data-theme-toggle]').forEach((btn) => {
-    btn.addEventListener('click', toggleTheme);
+  document.querySelectorAll('[data-theme-picker]').forEach((picker) => {
+    initNavMenu(picker, { options: THEME_OPTIONS, onSelect: selectTheme });
   });
 
-  window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-    if (localStorage.getItem(STORAGE_KEY)) {
-      return;
-    }
-    try {
-      const path = window.location.pathname || '';
-      if (path.endsWith('banner.html')) {
-        return;
+  applyTheme(getInitialPreference());
+
+  if (!window.matchMedia) {
+    return;
+  }
+  [DARK_QUERY, ...CONTRAST_QUERIES].forEach((query) => {
+    window.matchMedia(query).addEventListener('change', () => {
+      if (currentPreference === THEME_SYSTEM) {
+        applyTheme(THEME_SYSTEM);
       }
-    } catch (_error) {
-      /* Ignore */
-    }
-    applyTheme(e.matches ? THEME_DARK : THEME_LIGHT);
+    });
   });
 }
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Benchmarks particle connection lookup: all-pairs scan vs. the spatial grid
+ * in js/spatial-grid.js, on homepage- and banner-sized fields.
+ * Run: npm run bench:particles
+ *
+ * Uses the same module the browser loads (Node 20.19+ imports it as an ES module).
+ * Points come from a fixed-seed generator so runs are comparable; each scenario
+ * also checks that both approaches find the same number of pairs. Homepage and banner
+ * scenarios use the pages' own density and caps (js/particles.js); the old caps and the
+ * stress size are fixed counts.
+ */
+
+const path = require('path');
+const { performance } = require('perf_hooks');
+
+const CONNECTION_DISTANCE = 120;
+const FRAMES = 200;
+const WARMUP_FRAMES = 20;
+const SEED = 1337;
+const DRIFT = 0.3;
+
+const SCENARIOS = [
+  { name: 'homepage 1920×1080 (old cap)', width: 1920, height: 1080, count: 60 },
+  { name: 'homepage 1920×1080', width: 1920, height: 1080, density: 'homepage' },
+  { name: 'homepage 2560×1440', width: 2560, height: 1440, density: 'homepage' },
+  { name: 'homepage 3840×2160', width: 3840, height: 2160, density: 'homepage' },
+  { name: 'banner 1584×396 (old cap)', width: 1584, height: 396, count: 160 },
+  { name: 'banner 1584×396', width: 1584, height: 396, density: 'banner' },
+  { name: 'banner 1280×640 (at cap)', width: 1280, height: 640, density: 'banner' },
+  { name: 'stress 2560×1440', width: 2560, height: 1440, count: 2000 },
+];
+
+function createPoints(count, width, height, random) {
+  return Array.from({ length: count }, () => ({
+    x: random() * width,
+    y: random() * height,
+    vx: (random() - 0.5) * DRIFT,
+    vy: (random() - 0.5) * DRIFT,
+  }));
+}
+
+/** Moves points a little between frames so the grid is rebuilt on changing data. */
+function step(points, width, height) {
+  points.forEach((p) => {
+    p.x = (p.x + p.vx + width) % width;
+    p.y = (p.y + p.vy + height) % height;
+  });
+}
+
+/** Runs `frame` FRAMES times after a warm-up and returns ms per frame and pairs in the last frame. */
+function measure(points, width, height, frame) {
+  let pairs = 0;
+  const count = () => {
+    pairs++;
+  };
+  for (let i = 0; i < WARMUP_FRAMES; i++) {
+    frame(count);
+  }
+  const start = performance.now();
+  for (let i = 0; i < FRAMES; i++) {
+    step(points, width, height);
+    pairs = 0;
+    frame(count);
+  }
+  return { msPerFrame: (performance.now() - start) / FRAMES, pairs };
+}
+
+async function main() {
+  const { createSpatialGrid, forEachPairBruteForce } = await import(
+    path.join(__dirname, '..', 'js', 'spatial-grid.js')
+  );
+  const { createRandom } = await import(path.join(__dirname, '..', 'js', 'random.js'));
+  const { particleCount } = await import(path.join(__dirname, '..', 'js', 'particle-field.js'));
+  const { HOMEPAGE_DENSITY, BANNER_DENSITY } = await import(path.join(__dirname, '..', 'js', 'particles.js'));
+  const densities = { homepage: HOMEPAGE_DENSITY, banner: BANNER_DENSITY };
+
+  const rows = SCENARIOS.map(({ name, width, height, density, count: fixedCount }) => {
+    const count = fixedCount ?? particleCount(width, height, densities[density]);
+    const random = createRandom(SEED);
+    const bruteForcePoints = createPoints(count, width, height, random);
+    const gridPoints = bruteForcePoints.map((p) => ({ ...p }));
+    const grid = createSpatialGrid(CONNECTION_DISTANCE);
+
+    const brute = measure(bruteForcePoints, width, height, (cb) => {
+      forEachPairBruteForce(bruteForcePoints, CONNECTION_DISTANCE, cb);
+    });
+    const spatial = measure(gridPoints, width, height, (cb) => {
+      grid.rebuild(gridPoints, width, height);
+      grid.forEachPair(gridPoints, CONNECTION_DISTANCE, cb);
+    });
+
+    if (brute.pairs !== spatial.pairs) {
+      throw new Error(`${name}: pair counts differ (all-pairs ${brute.pairs}, grid ${spatial.pairs})`);
+    }
+
+    return {
+      scenario: name,
+      particles: count,
+      pairs: spatial.pairs,
+      'all-pairs ms': brute.msPerFrame.toFixed(3),
+      'grid ms': spatial.msPerFrame.toFixed(3),
+      speedup: `${(brute.msPerFrame / spatial.msPerFrame).toFixed(1)}×`,
+    };
+  });
+
+  console.table(rows);
+  console.log(`✅ Benchmark complete (${FRAMES} frames per scenario, connection distance ${CONNECTION_DISTANCE}px)`);
+}
+
+main().catch((err) => {
+  console.error('❌ Benchmark failed:', err.message);
+  process.exit(1);
+});
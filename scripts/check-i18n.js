@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Checks translation files against the keys the site actually uses.
+ * Run: npm run check:i18n (also part of `npm test`)
+ *
+ * Keys are collected from the HTML pages, js/ modules and build scripts:
+ *   - `data-i18n`, `data-i18n-aria`, `data-i18n-placeholder`, `data-i18n-html` attributes
+ *     (including those inside JS template strings such as the site nav)
+ *   - `i18n: 'key'` entries (e.g. `NAV_SECTIONS` in js/site-nav.js)
+ *   - `t('key')`, `formatKey('key')`, `label('key')` calls and `translations.a.b` lookups
+ *
+ * Every i18n/<lang>.json must define every used key, mirror the default language's
+ * shape (same keys, same types, same array lengths) and contain no orphaned keys.
+ * The language codes inlined in each page's head script (`var langs=[…];`, written by
+ * npm run build:langs) must exist and match the manifest.
+ * Exits non-zero with a report when anything is off.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadLanguages, loadTranslations, resolveKey } = require('./lib/resume');
+const { findInlineLangProblems } = require('./lib/head-langs');
+
+const HTML_FILES = ['index.html', 'cv.html', 'banner.html', '404.html'];
+const SOURCE_DIRS = ['js', 'scripts'];
+const I18N_DIR = path.join(ROOT, 'i18n');
+const MANIFEST_FILE = 'languages.json';
+
+const KEY = '[a-z0-9_]+(?:\\.[a-z0-9_]+)*';
+const ATTRIBUTE_PATTERN = new RegExp(`data-i18n(?:-aria|-placeholder|-html)?="(${KEY})"`, 'g');
+const CONFIG_PATTERN = new RegExp(`\\bi18n:\\s*'(${KEY})'`, 'g');
+const CALL_PATTERN = new RegExp(`\\b(?:t|formatKey|label)\\(\\s*'(${KEY})'`, 'g');
+const PREFIX_CALL_PATTERN = new RegExp(`\\b(?:t|formatKey|label)\\(\\s*\`(${KEY})\\.\\$\\{`, 'g');
+const PROPERTY_PATTERN = /\btranslations((?:\??\.[a-z0-9_]+)+)/g;
+
+/** Lists js/ and scripts/ sources (recursively), skipping this checker. */
+function listSources(dir) {
+  return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap((entry) => {
+    const relative = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return listSources(relative);
+    }
+    return entry.name.endsWith('.js') && path.resolve(ROOT, relative) !== __filename ? [relative] : [];
+  });
+}
+
+/**
+ * Scans markup and sources for referenced keys.
+ * @returns {{ keys: Map<string, Set<string>>, prefixes: Set<string> }} Key → files, plus dynamic prefixes
+ */
+function collectUsage() {
+  const keys = new Map();
+  const prefixes = new Set();
+  const files = [...HTML_FILES, ...SOURCE_DIRS.flatMap(listSources)];
+
+  const add = (key, file) => {
+    if (!keys.has(key)) {
+      keys.set(key, new Set());
+    }
+    keys.get(key).add(file);
+  };
+
+  files.forEach((file) => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    [ATTRIBUTE_PATTERN, CONFIG_PATTERN, CALL_PATTERN].forEach((pattern) => {
+      for (const match of source.matchAll(pattern)) {
+        add(match[1], file);
+      }
+    });
+    for (const match of source.matchAll(PREFIX_CALL_PATTERN)) {
+      prefixes.add(match[1]);
+    }
+    for (const match of source.matchAll(PROPERTY_PATTERN)) {
+      add(match[1].replace(/\?/g, '').slice(1), file);
+    }
+  });
+
+  return { keys, prefixes, fileCount: files.length };
+}
+
+function describe(value) {
+  if (Array.isArray(value)) {
+    return `array(${value.length})`;
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+/** Flattens a translation tree into dot paths of its leaves (strings and arrays). */
+function leafPaths(value, prefix = '') {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.entries(value).flatMap(([key, item]) => leafPaths(item, prefix ? `${prefix}.${key}` : key));
+  }
+  return [prefix];
+}
+
+/**
+ * Compares a language's tree with the default language's, recursing into arrays
+ * so that nested bullet lists must line up too.
+ */
+function compareShape(reference, candidate, keyPath, problems) {
+  const expected = describe(reference);
+  const actual = describe(candidate);
+  if (candidate === undefined) {
+    problems.push(`missing key ${keyPath}`);
+    return;
+  }
+  if (expected !== actual) {
+    problems.push(`${keyPath} is ${actual}, expected ${expected}`);
+    return;
+  }
+  if (Array.isArray(reference)) {
+    reference.forEach((item, index) => compareShape(item, candidate[index], `${keyPath}[${index}]`, problems));
+  } else if (reference && typeof reference === 'object') {
+    Object.keys(reference).forEach((key) => {
+      compareShape(reference[key], candidate[key], keyPath ? `${keyPath}.${key}` : key, problems);
+    });
+    Object.keys(candidate)
+      .filter((key) => !(key in reference))
+      .forEach((key) => problems.push(`extra key ${keyPath ? `${keyPath}.${key}` : key} (not in default language)`));
+  }
+}
+
+function isUsed(leaf, keys, prefixes) {
+  const parts = leaf.split('.');
+  return parts.some((_part, index) => {
+    const ancestor = parts.slice(0, index + 1).join('.');
+    return keys.has(ancestor) || prefixes.has(ancestor);
+  });
+}
+
+function main() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(I18N_DIR, MANIFEST_FILE), 'utf8'));
+  const defaultLang = manifest.default;
+  const files = fs.readdirSync(I18N_DIR)
+    .filter((name) => name.endsWith('.json') && name !== MANIFEST_FILE)
+    .map((name) => path.basename(name, '.json'));
+  const langs = Array.from(new Set([...loadLanguages().map((entry) => entry.code), ...files]));
+
+  const report = [];
+  const problemsFor = (title) => {
+    const problems = [];
+    report.push({ title, problems });
+    return problems;
+  };
+
+  const manifestProblems = problemsFor('i18n/languages.json');
+  langs.forEach((lang) => {
+    if (!files.includes(lang)) {
+      manifestProblems.push(`"${lang}" is listed but i18n/${lang}.json does not exist`);
+    } else if (!manifest.languages.some((entry) => entry.code === lang)) {
+      manifestProblems.push(`i18n/${lang}.json exists but "${lang}" is not listed`);
+    }
+  });
+
+  findInlineLangProblems(manifest.languages.map((entry) => entry.code))
+    .forEach((problem) => manifestProblems.push(problem));
+
+  const { keys, prefixes, fileCount } = collectUsage();
+  const translations = Object.fromEntries(files.map((lang) => [lang, loadTranslations(lang)]));
+  const reference = translations[defaultLang] || {};
+
+  files.forEach((lang) => {
+    const problems = problemsFor(`i18n/${lang}.json`);
+    keys.forEach((usedIn, key) => {
+      if (resolveKey(translations[lang], key) === undefined) {
+        problems.push(`missing key ${key} (used in ${Array.from(usedIn).join(', ')})`);
+      }
+    });
+    if (lang !== defaultLang) {
+      const shapeProblems = [];
+      compareShape(reference, translations[lang], '', shapeProblems);
+      shapeProblems
+        .filter((problem) => !problems.some((existing) => existing.startsWith(problem)))
+        .forEach((problem) => problems.push(problem));
+    }
+  });
+
+  const orphans = problemsFor(`orphaned keys (in i18n/${defaultLang}.json, never referenced)`);
+  leafPaths(reference)
+    .filter((leaf) => !isUsed(leaf, keys, prefixes))
+    .forEach((leaf) => orphans.push(leaf));
+
+  const failing = report.filter(({ problems }) => problems.length > 0);
+  if (failing.length > 0) {
+    failing.forEach(({ title, problems }) => {
+      console.error(`\n❌ ${title}`);
+      problems.forEach((problem) => console.error(`   - ${problem}`));
+    });
+    const total = failing.reduce((sum, { problems }) => sum + problems.length, 0);
+    console.error(`\n❌ i18n check failed: ${total} problem(s)`);
+    process.exit(1);
+  }
+
+  console.log(`✅ i18n check passed: ${keys.size} keys used across ${fileCount} files, ${files.length} languages`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('❌ i18n check failed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Checks the committed CV PDFs against data/resume.json and i18n/<lang>.json: title, author,
+ * language, tags and section bookmarks, page budget, blank pages, every section title and
+ * experience bullet present in the PDF's language, and no default-language text left in
+ * translated PDFs (see scripts/lib/pdf-validate.js).
+ * Run: npm run check:pdf (also part of `npm test`; npm run build:pdf runs the same checks)
+ *
+ * Every file npm run build:pdf writes by default must be there: each language in every variant
+ * from js/pdf-variants.js, and tailored to each focus area in assets/focus (js/cv-focus.js), whose
+ * expected bullets are the ones their focus keeps. Other focus combinations there (PDF_FOCUS) are
+ * checked too.
+ * Exits non-zero with a diff-style report per failing PDF; rebuild with npm run build:pdf.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadLanguages } = require('./lib/resume');
+const { validatePdf, isValid, formatReport } = require('./lib/pdf-validate');
+
+async function main() {
+  const { listPdfVariants, pdfVariantPath, getLength, DEFAULT_LENGTH } = await import(path.join(ROOT, 'js', 'pdf-variants.js'));
+  const { FOCUS_AREAS, FOCUS_PDF_DIR, parseFocus, focusPdfPath } = await import(path.join(ROOT, 'js', 'cv-focus.js'));
+  const languages = loadLanguages().filter((entry) => entry.pdf);
+  const results = [];
+  const missing = [];
+  const check = async (file, ...args) => {
+    if (fs.existsSync(path.resolve(ROOT, file))) {
+      results.push(await validatePdf(path.resolve(ROOT, file), ...args));
+    } else {
+      missing.push(file);
+    }
+  };
+
+  for (const { code, pdf } of languages) {
+    for (const { paper, length } of listPdfVariants()) {
+      await check(pdfVariantPath(pdf, paper.id, length.id), code, length);
+    }
+  }
+
+  const focusDir = path.join(ROOT, FOCUS_PDF_DIR);
+  const tailored = new Set(languages.flatMap(({ code }) => FOCUS_AREAS.map((area) => focusPdfPath([area], code))));
+  (fs.existsSync(focusDir) ? fs.readdirSync(focusDir).filter((name) => name.endsWith('.pdf')) : [])
+    .forEach((name) => tailored.add(`${FOCUS_PDF_DIR}/${name}`));
+  for (const file of [...tailored].sort()) {
+    /* <areas>-<lang>.pdf; anything else there is stale or misnamed */
+    const match = /^(.+)-([^-]+)\.pdf$/.exec(path.basename(file));
+    const focus = match ? parseFocus(match[1].split('-')) : [];
+    if (!match || !languages.some(({ code }) => code === match[2]) || focusPdfPath(focus, match[2]) !== file) {
+      throw new Error(`unexpected file ${file} (expected <areas>-<lang>.pdf, see js/cv-focus.js)`);
+    }
+    await check(file, match[2], getLength(DEFAULT_LENGTH), focus);
+  }
+
+  const failing = results.filter((result) => !isValid(result));
+  failing.forEach((result) => console.error(`\n${formatReport(result)}`));
+  if (failing.length > 0 || missing.length > 0) {
+    const problems = [
+      ...(missing.length > 0 ? [`missing ${missing.join(', ')}`] : []),
+      ...(failing.length > 0 ? [`failed for ${failing.map(({ file }) => file).join(', ')}`] : []),
+    ];
+    console.error(`\n❌ PDF check ${problems.join('; ')} — run npm run build:pdf`);
+    process.exit(1);
+  }
+  results.forEach(({ file, pages }) => console.log(`✅ ${file} (${pages} page${pages === 1 ? '' : 's'})`));
+}
+
+main().catch((err) => {
+  console.error('❌ PDF check failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/**
+ * Writes js/asset-manifest.js: content hashes of the translation files, CV exports and banner
+ * PNGs, used by the pages for cache busting (see scripts/lib/asset-manifest.js).
+ * Run: npm run build:manifest (after editing i18n/*.json; the build:* scripts run it themselves)
+ *
+ * With --check (npm run check:assets, part of `npm test`) nothing is written; exits non-zero
+ * when the module does not match the files on disk.
+ */
+
+const { writeAssetManifest, findStaleAssets } = require('./lib/asset-manifest');
+
+function main() {
+  if (process.argv.includes('--check')) {
+    const stale = findStaleAssets();
+    if (stale.length > 0) {
+      console.error('❌ js/asset-manifest.js is out of date for:');
+      stale.forEach((file) => console.error(`   - ${file}`));
+      console.error('\nRun npm run build:manifest and commit the result.');
+      process.exit(1);
+    }
+    console.log('✅ js/asset-manifest.js matches the files on disk');
+    return;
+  }
+  const count = writeAssetManifest();
+  console.log(`✅ js/asset-manifest.js updated (${count} files)`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('❌ Asset manifest generation failed:', err.message);
+  process.exit(1);
+}
@@ -1,37 +1,91 @@
 #!/usr/bin/env node
 /**
- * Exports LinkedIn profile banners (1584 × 396 px) as PNG via Playwright.
+ * Exports profile banners as PNG via Playwright: every format preset in js/banner-presets.js
+ * (LinkedIn 1584 × 396, X 1500 × 500, GitHub 1280 × 640, Open Graph 1200 × 630, square avatar
+ * 800 × 800) × every language in i18n/languages.json × dark and light, as
+ * assets/banners/<slug>-<theme>-<lang>.png, then rewrites assets/banners/manifest.json
+ * (file, preset, lang, theme, size, bytes, hash) for the download buttons in js/banner.js.
  * Run from project root: npm run build:banner
  *
- * Optional: BANNER_LANG=es for Spanish text on the canvas (default: en).
+ * Optional: BANNER_PRESETS=linkedin,x and BANNER_LANGS=es limit the export (default: all).
+ * The manifest always lists every matrix file on disk, so partial runs keep the others.
+ * Optional: BANNER_MANIFEST_ONLY=1 skips the browser and only rewrites the manifest.
+ * Optional: BANNER_SEED=<integer or text> picks the particle layout (default: DEFAULT_SEED).
+ * Particles render as a single frozen frame from that seed, so re-running an export with the
+ * same seed, language and theme produces identical PNGs.
+ * Optional: BANNER_STUDIO=<share link or query string> applies banner studio edits (name, headline,
+ * stack, location, accent, avatar), e.g. BANNER_STUDIO='?headline=Staff+Engineer&avatar=1'.
+ * Its format is ignored: BANNER_PRESETS picks the formats.
+ * Serves the site itself (scripts/lib/export-harness.js), so no dev server needs to be running.
  * First-time setup (if launch fails): npx playwright install chromium
  *
- * After regenerating, bump BANNER_CACHE_BUST in js/banner.js so download
- * links avoid stale browser cache.
+ * Finishes by rewriting js/asset-manifest.js; download links carry each PNG's content hash,
+ * so browsers never serve a stale copy.
  */
 
-const { chromium } = require('playwright');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
-
-const PORT = 3100;
-const ROOT = path.resolve(__dirname, '..');
-const ASSETS = path.join(ROOT, 'assets');
-const BANNER_LANG = process.env.BANNER_LANG === 'es' ? 'es' : 'en';
-const BANNER_W = 1584;
-const BANNER_H = 396;
-
-const OUTPUTS = [
-  { theme: 'dark', file: 'linkedin-banner.png' },
-  { theme: 'light', file: 'linkedin-banner-light.png' },
-];
-
-function bannerUrl(theme) {
-  const u = new URL(`http://127.0.0.1:${PORT}/banner.html`);
-  u.searchParams.set('lang', BANNER_LANG);
+const { ROOT, loadLanguages } = require('./lib/resume');
+const { writeAssetManifest } = require('./lib/asset-manifest');
+const { withExportHarness, openPage } = require('./lib/export-harness');
+
+const OUT_DIR = path.join(ROOT, 'assets', 'banners');
+const MANIFEST_PATH = path.join(OUT_DIR, 'manifest.json');
+const MANIFEST_ONLY = process.env.BANNER_MANIFEST_ONLY === '1';
+/** Change to reshuffle the layout; commit the regenerated PNGs with it. */
+const DEFAULT_SEED = '1584';
+const BANNER_SEED = (process.env.BANNER_SEED || '').trim() || DEFAULT_SEED;
+/** Query part of a studio share link (or a bare query string); '' when unset. */
+const BANNER_STUDIO = (process.env.BANNER_STUDIO || '').trim().replace(/^[^?]*\?/, '');
+const THEMES = ['dark', 'light'];
+
+/**
+ * Narrows a list of ids with a comma-separated env var, keeping the list's order.
+ * @param {string} envName - e.g. BANNER_PRESETS
+ * @param {string[]} known - Every valid id
+ * @returns {string[]} Selected ids (all when the variable is unset)
+ */
+function selectIds(envName, known) {
+  const wanted = (process.env[envName] || '').split(',').map((id) => id.trim()).filter(Boolean);
+  const unknown = wanted.filter((id) => !known.includes(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${envName}: ${unknown.join(', ')} (known: ${known.join(', ')})`);
+  }
+  return known.filter((id) => wanted.length === 0 || wanted.includes(id));
+}
+
+/**
+ * Every preset × language × theme combination.
+ * @param {object[]} presets - Presets from js/banner-presets.js
+ * @param {string[]} langs - Language codes
+ * @returns {{ preset: object, lang: string, theme: string, file: string }[]}
+ */
+function listMatrix(presets, langs) {
+  return presets.flatMap((preset) => langs.flatMap((lang) => THEMES.map((theme) => ({
+    preset,
+    lang,
+    theme,
+    file: `${preset.slug}-${theme}-${lang}.png`,
+  }))));
+}
+
+/**
+ * @param {string} origin - Export server origin
+ * @param {string} preset - Preset id
+ * @param {string} lang - Language code
+ * @param {string} theme - Export theme
+ * @param {URLSearchParams} studioParams - Validated BANNER_STUDIO fields
+ */
+function bannerUrl(origin, preset, lang, theme, studioParams) {
+  const u = new URL('/banner.html', origin);
+  studioParams.forEach((value, key) => u.searchParams.set(key, value));
+  u.searchParams.set('preset', preset);
+  u.searchParams.set('lang', lang);
   u.searchParams.set('theme', theme);
   u.searchParams.set('export', '1');
+  u.searchParams.set('seed', BANNER_SEED);
+  u.searchParams.set('freeze', '1');
   return u.toString();
 }
 
@@ -44,33 +98,50 @@ function readPngSize(filePath) {
   return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
 }
 
-async function main() {
-  const server = spawn('npx', ['serve', '.', '-l', String(PORT), '--no-clipboard'], {
-    cwd: ROOT,
-    stdio: 'ignore',
-    shell: true,
-  });
-
-  await new Promise((resolve) => setTimeout(resolve, 3000));
-
-  try {
-    const browser = await chromium.launch();
+/**
+ * Lists every matrix file present on disk with its size and content hash.
+ * @param {{ preset: object, lang: string, theme: string, file: string }[]} matrix - Full matrix
+ * @returns {number} Number of files listed
+ */
+function writeManifest(matrix) {
+  const banners = matrix
+    .filter(({ file }) => fs.existsSync(path.join(OUT_DIR, file)))
+    .map(({ preset, lang, theme, file }) => {
+      const filePath = path.join(OUT_DIR, file);
+      const { width, height } = readPngSize(filePath) || { width: 0, height: 0 };
+      const content = fs.readFileSync(filePath);
+      return {
+        file,
+        preset: preset.id,
+        lang,
+        theme,
+        width,
+        height,
+        bytes: content.length,
+        hash: crypto.createHash('sha256').update(content).digest('hex'),
+      };
+    });
+  fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify({ banners }, null, 2)}\n`);
+  return banners.length;
+}
 
-    for (const { theme, file } of OUTPUTS) {
+/**
+ * Screenshots each output from banner.html.
+ * @param {{ preset: object, lang: string, theme: string, file: string }[]} outputs - Files to export
+ * @param {URLSearchParams} studioParams - Validated BANNER_STUDIO fields
+ * @param {string[]} edits - Studio fields in use, for the log
+ */
+async function exportBanners(outputs, studioParams, edits) {
+  await withExportHarness(async ({ browser, origin }) => {
+    for (const { preset, lang, theme, file } of outputs) {
+      const { width: bannerW, height: bannerH } = preset;
       /* Fresh storage + prefers-color-scheme per export so dark PNG is never polluted by light OS theme */
-      const context = await browser.newContext({
+      const { context, page } = await openPage(browser, bannerUrl(origin, preset.id, lang, theme, studioParams), {
         colorScheme: theme === 'dark' ? 'dark' : 'light',
         /* Match export width so the banner is not centered with empty side margins (clip was clamped to ~1424px). */
-        viewport: { width: BANNER_W, height: 900 },
+        viewport: { width: bannerW, height: 900 },
         deviceScaleFactor: 1,
       });
-      const page = await context.newPage();
-      await page.goto(bannerUrl(theme), { waitUntil: 'networkidle', timeout: 60_000 });
-      await page.waitForFunction(
-        () => !document.documentElement.hasAttribute('data-i18n-pending'),
-        { timeout: 15_000 },
-      );
-      await page.evaluate(() => document.fonts.ready);
 
       /* Guarantee theme on <html> after JS init (URL/localStorage races broke dark exports). */
       await page.evaluate((t) => {
@@ -98,9 +169,9 @@ async function main() {
       await page.waitForTimeout(400);
 
       /*
-       * Pixel-perfect PNG: viewport screenshot must be exactly BANNER_W×BANNER_H.
+       * Pixel-perfect PNG: viewport screenshot must be exactly bannerW×bannerH.
        * Do NOT rely on html.banner-export alone — if ?export=1 is dropped (redirect) those rules never
-       * run and the top 396px is the studio copy (what you saw). Hide everything except #linkedin-banner.
+       * run and the top of the page is the studio copy (what you saw). Hide everything except #linkedin-banner.
        */
       await page.evaluate(() => {
         document.documentElement.classList.add('banner-export');
@@ -111,8 +182,8 @@ async function main() {
           html, body {
             margin: 0 !important;
             padding: 0 !important;
-            width: ${BANNER_W}px !important;
-            height: ${BANNER_H}px !important;
+            width: ${bannerW}px !important;
+            height: ${bannerH}px !important;
             overflow: hidden !important;
             background: ${exportBg} !important;
           }
@@ -127,9 +198,9 @@ async function main() {
             position: fixed !important;
             left: 0 !important;
             top: 0 !important;
-            width: ${BANNER_W}px !important;
-            height: ${BANNER_H}px !important;
-            min-width: ${BANNER_W}px !important;
+            width: ${bannerW}px !important;
+            height: ${bannerH}px !important;
+            min-width: ${bannerW}px !important;
             max-width: none !important;
             margin: 0 !important;
             border: none !important;
@@ -139,14 +210,14 @@ async function main() {
           #banner-particle-canvas.banner-particle-canvas {
             left: 0 !important;
             top: 0 !important;
-            width: ${BANNER_W}px !important;
-            height: ${BANNER_H}px !important;
+            width: ${bannerW}px !important;
+            height: ${bannerH}px !important;
             max-width: none !important;
           }
         `,
       });
 
-      await page.setViewportSize({ width: BANNER_W, height: BANNER_H });
+      await page.setViewportSize({ width: bannerW, height: bannerH });
       await page.evaluate(() => {
         window.dispatchEvent(new Event('resize'));
         if (typeof window.__jcvBannerParticleResize === 'function') {
@@ -166,23 +237,41 @@ async function main() {
         }),
       );
 
-      const outPath = path.join(ASSETS, file);
+      const outPath = path.join(OUT_DIR, file);
       await page.screenshot({ path: outPath, type: 'png' });
 
       const dim = readPngSize(outPath);
-      if (!dim || dim.width !== BANNER_W || dim.height !== BANNER_H) {
+      if (!dim || dim.width !== bannerW || dim.height !== bannerH) {
         throw new Error(
-          `${file}: PNG is ${dim ? `${dim.width}×${dim.height}` : 'unreadable'}; require ${BANNER_W}×${BANNER_H}`,
+          `${file}: PNG is ${dim ? `${dim.width}×${dim.height}` : 'unreadable'}; require ${bannerW}×${bannerH}`,
         );
       }
       await context.close();
-      console.log(`✅ ${file} (${theme}, lang=${BANNER_LANG})`);
+      console.log(`✅ ${file} (${preset.id} ${bannerW}×${bannerH}, ${theme}, lang=${lang}, seed=${BANNER_SEED}${edits.length > 0 ? `, studio: ${edits.join(', ')}` : ''})`);
     }
+  });
+}
 
-    await browser.close();
-  } finally {
-    server.kill();
+async function main() {
+  const { parseState, writeState } = await import(path.join(ROOT, 'js', 'banner-state.js'));
+  const { BANNER_PRESETS } = await import(path.join(ROOT, 'js', 'banner-presets.js'));
+  const langs = loadLanguages().map(({ code }) => code);
+  const matrix = listMatrix(Object.values(BANNER_PRESETS), langs);
+
+  if (!MANIFEST_ONLY) {
+    const studio = parseState(BANNER_STUDIO);
+    delete studio.preset;
+    const presetIds = selectIds('BANNER_PRESETS', Object.keys(BANNER_PRESETS));
+    const langIds = selectIds('BANNER_LANGS', langs);
+    const outputs = matrix.filter(({ preset, lang }) => presetIds.includes(preset.id) && langIds.includes(lang));
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    await exportBanners(outputs, writeState(studio, new URLSearchParams()), Object.keys(studio));
   }
+
+  const count = writeManifest(matrix);
+  console.log(`✅ ${path.relative(ROOT, MANIFEST_PATH)} (${count} of ${matrix.length} banners)`);
+  writeAssetManifest();
+  console.log('✅ js/asset-manifest.js updated');
 }
 
 main().catch((err) => {
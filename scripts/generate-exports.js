@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Generates machine-readable CV exports for every language in i18n/languages.json:
+ *   - JSON Resume (`joaquin-noguera-cv-<lang>.json`)
+ *   - Markdown (`joaquin-noguera-cv-<lang>.md`)
+ *   - ATS-friendly plain text and single-column HTML (`…-ats.txt`, `…-ats.html`)
+ * Run: npm run build:exports
+ *
+ * Text comes from data/resume.json plus the section titles in i18n/<lang>.json,
+ * the same sources the CV page renders. Finishes by rewriting js/asset-manifest.js, whose
+ * content hashes keep downloads from hitting stale browser cache.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  ROOT,
+  loadResume,
+  loadLanguages,
+  loadTranslations,
+  resolveKey,
+} = require('./lib/resume');
+const { writeAssetManifest } = require('./lib/asset-manifest');
+
+const ASSETS = path.join(ROOT, 'assets');
+const BASENAME = 'joaquin-noguera-cv';
+
+/**
+ * Builds the per-language context shared by every format.
+ * @param {Object} resume - Resume data (all languages)
+ * @param {string} lang - Language code
+ * @param {{ localizeResume: Function, formatLocation: Function, formatDate: Function }} pageModules -
+ *   Helpers from js/resume.js and js/dates.js
+ */
+function buildContext(resume, lang, { localizeResume, formatLocation, formatDate }) {
+  const translations = loadTranslations(lang);
+  const doc = localizeResume(resume, lang);
+  const label = (key) => resolveKey(translations, key) || key;
+  const location = formatLocation(doc.basics.location, { withRegion: true, remoteLabel: label('contact.remote') });
+  /* "Apr 2022 — Present", as the CV page prints it */
+  const period = ({ startDate, endDate }) => [
+    formatDate(startDate, lang),
+    endDate ? formatDate(endDate, lang) : label('experience.present'),
+  ].filter(Boolean).join(' — ');
+  return { lang, doc, label, location, period };
+}
+
+/** Strict JSON Resume document (single language, absolute image URL). */
+function toJsonResume({ lang, doc }) {
+  const meta = doc.meta || {};
+  const basics = { ...doc.basics };
+  if (basics.image && basics.url && !/^https?:/.test(basics.image)) {
+    basics.image = new URL(basics.image, basics.url).toString();
+  }
+  return `${JSON.stringify({ ...doc, basics, meta: { ...meta, language: lang } }, null, 2)}\n`;
+}
+
+function toMarkdown({ doc, label, location, period }) {
+  const { basics } = doc;
+  const contact = [
+    basics.email,
+    ...(basics.profiles || []).map((p) => `[${p.network}](${p.url})`),
+    basics.url && `[${label('cv.website_label')}](${basics.url})`,
+    location,
+  ].filter(Boolean);
+
+  const lines = [
+    `# ${basics.name}`,
+    '',
+    `**${basics.label}**`,
+    '',
+    contact.join(' · '),
+    '',
+    `## ${label('cv.sections.summary')}`,
+    '',
+    basics.summary,
+    '',
+    `## ${label('cv.sections.experience')}`,
+  ];
+
+  (doc.work || []).forEach((role) => {
+    lines.push('', `### ${role.position} — ${role.name}`, '', `*${period(role)} · ${role.location}*`, '');
+    (role.highlights || []).forEach((item) => lines.push(`- ${item}`));
+  });
+
+  lines.push('', `## ${label('cv.sections.education')}`, '');
+  (doc.education || []).forEach((item) => {
+    lines.push(`- **${item.area}** — ${item.institution} (${period(item)})`);
+  });
+
+  lines.push('', `## ${label('cv.sections.skills')}`, '');
+  (doc.skills || []).forEach((group) => {
+    lines.push(`- **${group.name}:** ${group.keywords.join(', ')}`);
+  });
+
+  lines.push('', `## ${label('cv.sections.languages')}`, '');
+  (doc.languages || []).forEach((item) => {
+    lines.push(`- ${item.language} — ${item.fluency}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/** Plain text: one column, no icons or tables, upper-case section headings. */
+function toAtsText({ doc, label, location, period }) {
+  const { basics } = doc;
+  const heading = (key) => ['', label(key).toUpperCase()];
+  const lines = [
+    basics.name.toUpperCase(),
+    basics.label,
+    [location, basics.email, ...(basics.profiles || []).map((p) => p.url), basics.url]
+      .filter(Boolean)
+      .join(' | '),
+    ...heading('cv.sections.summary'),
+    basics.summary,
+    ...heading('cv.sections.experience'),
+  ];
+
+  (doc.work || []).forEach((role, index) => {
+    if (index > 0) {
+      lines.push('');
+    }
+    lines.push(role.position, `${role.name} | ${role.location} | ${period(role)}`);
+    (role.highlights || []).forEach((item) => lines.push(`- ${item}`));
+  });
+
+  lines.push(...heading('cv.sections.education'));
+  (doc.education || []).forEach((item) => {
+    lines.push(`${item.area} | ${item.institution} | ${period(item)}`);
+  });
+
+  lines.push(...heading('cv.sections.skills'));
+  (doc.skills || []).forEach((group) => {
+    lines.push(`${group.name}: ${group.keywords.join(', ')}`);
+  });
+
+  lines.push(...heading('cv.sections.languages'));
+  (doc.languages || []).forEach((item) => {
+    lines.push(`${item.language}: ${item.fluency}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Semantic single-column HTML with no stylesheet, scripts or icons. */
+function toAtsHtml({ lang, doc, label, location, period }) {
+  const { basics } = doc;
+  const link = (href, text) => `<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>`;
+  const contact = [
+    escapeHtml(location),
+    basics.email && link(`mailto:${basics.email}`, basics.email),
+    ...(basics.profiles || []).map((p) => link(p.url, p.url)),
+    basics.url && link(basics.url, basics.url),
+  ].filter(Boolean);
+
+  const work = (doc.work || []).map((role) => `
+    <h3>${escapeHtml(role.position)}</h3>
+    <p>${escapeHtml(role.name)} | ${escapeHtml(role.location)} | ${escapeHtml(period(role))}</p>
+    <ul>
+${(role.highlights || []).map((item) => `      <li>${escapeHtml(item)}</li>`).join('\n')}
+    </ul>`).join('\n');
+
+  const education = (doc.education || []).map((item) => `
+    <p>${escapeHtml(item.area)} | ${escapeHtml(item.institution)} | ${escapeHtml(period(item))}</p>`).join('');
+
+  const skills = (doc.skills || []).map((group) => `
+    <p>${escapeHtml(group.name)}: ${escapeHtml(group.keywords.join(', '))}</p>`).join('');
+
+  const languages = (doc.languages || []).map((item) => `
+    <p>${escapeHtml(item.language)}: ${escapeHtml(item.fluency)}</p>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(basics.name)} — ${escapeHtml(basics.label)}</title>
+</head>
+<body>
+  <h1>${escapeHtml(basics.name)}</h1>
+  <p>${escapeHtml(basics.label)}</p>
+  <p>${contact.join(' | ')}</p>
+
+  <h2>${escapeHtml(label('cv.sections.summary'))}</h2>
+  <p>${escapeHtml(basics.summary)}</p>
+
+  <h2>${escapeHtml(label('cv.sections.experience'))}</h2>${work}
+
+  <h2>${escapeHtml(label('cv.sections.education'))}</h2>${education}
+
+  <h2>${escapeHtml(label('cv.sections.skills'))}</h2>${skills}
+
+  <h2>${escapeHtml(label('cv.sections.languages'))}</h2>${languages}
+</body>
+</html>
+`;
+}
+
+const FORMATS = [
+  { suffix: '.json', render: toJsonResume },
+  { suffix: '.md', render: toMarkdown },
+  { suffix: '-ats.txt', render: toAtsText },
+  { suffix: '-ats.html', render: toAtsHtml },
+];
+
+async function main() {
+  const { localizeResume, formatLocation } = await import(path.join(ROOT, 'js', 'resume.js'));
+  const { formatDate } = await import(path.join(ROOT, 'js', 'dates.js'));
+  const resume = loadResume();
+  const langs = loadLanguages().map((entry) => entry.code);
+
+  for (const lang of langs) {
+    const context = buildContext(resume, lang, { localizeResume, formatLocation, formatDate });
+    for (const { suffix, render } of FORMATS) {
+      const outputPath = path.join(ASSETS, `${BASENAME}-${lang}${suffix}`);
+      fs.writeFileSync(outputPath, render(context));
+      console.log(`✅ Export generated (${lang}): ${path.relative(ROOT, outputPath)}`);
+    }
+  }
+  writeAssetManifest();
+  console.log('✅ js/asset-manifest.js updated');
+}
+
+main().catch((err) => {
+  console.error('❌ Export generation failed:', err.message);
+  process.exit(1);
+});
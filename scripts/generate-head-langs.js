@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/**
+ * Writes the language codes from i18n/languages.json into the head script of each page
+ * (`var langs=[…];`, see scripts/lib/head-langs.js), so the language picked before first paint
+ * is always one the manifest lists.
+ * Run: npm run build:langs (after adding or removing a language; npm run check:i18n catches a
+ * forgotten run)
+ */
+
+const { writeInlineLangs } = require('./lib/head-langs');
+
+try {
+  const changed = writeInlineLangs();
+  console.log(changed.length > 0
+    ? `✅ Head script language list updated in ${changed.join(', ')}`
+    : '✅ Head script language lists already match i18n/languages.json');
+} catch (err) {
+  console.error('❌ Head script update failed:', err.message);
+  process.exit(1);
+}
@@ -1,61 +1,99 @@
 #!/usr/bin/env node
 /**
- * Generates EN and ES PDFs of the CV page using Playwright.
+ * Generates PDFs of the CV page for every language in i18n/languages.json using Playwright, in
+ * every variant from js/pdf-variants.js: A4 and US Letter, each as the full CV and as a compact
+ * one-page CV that drops older roles' bullets, e.g. assets/joaquin-noguera-cv-en-letter-compact.pdf
+ * (A4 full keeps the manifest's `pdf` path).
  * Run: npm run build:pdf
  *
+ * Also exports CVs tailored to a focus (js/cv-focus.js, the CV page's `?focus=`), A4 full, as
+ * assets/focus/<areas>-<lang>.pdf: one per focus area by default, or the comma-separated
+ * combinations in PDF_FOCUS, e.g. PDF_FOCUS=backend+payments,salesforce npm run build:pdf
+ *
+ * Serves the site itself (scripts/lib/export-harness.js), so no dev server needs to be running.
  * First-time setup (if launch fails): npx playwright install chromium
  *
- * After publishing a new PDF, bump `PDF_CACHE_BUST` in js/cv.js so the
- * download button does not serve a stale file from the browser cache.
+ * Each PDF is tagged and post-processed (scripts/lib/pdf-finalize.js): title, author, subject and
+ * keywords from i18n/<lang>.json (cv.pdf) and data/resume.json, the document language, one
+ * bookmark per CV section, and a check that the text is selectable. Its extracted text is then
+ * validated (scripts/lib/pdf-validate.js: page budget, blank pages, every section title and
+ * experience bullet in the right language); any failure fails the build with a diff-style report.
+ *
+ * Then rewrites js/asset-manifest.js, so the download button's `?v=` content hash changes
+ * with the PDF and browsers never serve a stale copy.
  */
 
-const { chromium } = require('playwright');
-const { spawn } = require('child_process');
+const fs = require('fs');
 const path = require('path');
+const { ROOT, loadResume, loadLanguages } = require('./lib/resume');
+const { writeAssetManifest } = require('./lib/asset-manifest');
+const { withExportHarness, openPage } = require('./lib/export-harness');
+const { pdfMetadata, finalizePdf } = require('./lib/pdf-finalize');
+const { validatePdf, isValid, formatReport } = require('./lib/pdf-validate');
 
-const PORT = 3099;
-/* Force language + light theme so exports are deterministic regardless of localStorage. */
-const EXPORTS = [
-  {
-    lang: 'en',
-    outputPath: path.resolve(__dirname, '..', 'assets', 'joaquin-noguera-cv-en.pdf'),
-  },
-  {
-    lang: 'es',
-    outputPath: path.resolve(__dirname, '..', 'assets', 'joaquin-noguera-cv-es.pdf'),
-  },
-];
-async function main() {
-  /* Start a temporary local server (shell: true helps Windows find npx) */
-  const server = spawn('npx', ['serve', '.', '-l', String(PORT), '--no-clipboard'], {
-    cwd: path.resolve(__dirname, '..'),
-    stdio: 'ignore',
-    shell: true,
-  });
-
-  /* Wait for server to be ready */
-  await new Promise((resolve) => setTimeout(resolve, 3000));
-
-  try {
-    const browser = await chromium.launch();
+/**
+ * Focus combinations to export: PDF_FOCUS ("backend+payments,salesforce"), else each area alone.
+ * @param {Object} cvFocus - js/cv-focus.js
+ * @returns {string[][]}
+ */
+function listFocuses({ FOCUS_AREAS, parseFocus }) {
+  const requested = process.env.PDF_FOCUS;
+  if (!requested) {
+    return FOCUS_AREAS.map((area) => [area]);
+  }
+  const focuses = requested.split(',').map((combination) => parseFocus(combination.split('+')));
+  const unknown = requested.split(',').filter((combination, index) => focuses[index].length === 0);
+  if (unknown.length > 0) {
+    throw new Error(`unknown PDF_FOCUS ${unknown.map((value) => `"${value}"`).join(', ')} (areas: ${FOCUS_AREAS.join(', ')})`);
+  }
+  return focuses;
+}
 
-    for (const { lang, outputPath } of EXPORTS) {
-      const context = await browser.newContext({ colorScheme: 'light' });
-      await context.addInitScript((forcedLang) => {
-        try {
-          localStorage.setItem('jcv-lang', forcedLang);
-        } catch (_err) {
-          /* ignore */
-        }
-      }, lang);
-      const page = await context.newPage();
-      const cvUrl = `http://127.0.0.1:${PORT}/cv.html?lang=${lang}`;
+/**
+ * Every language × variant to export, then every language × focus (A4, full). Output paths
+ * derive from each manifest entry's `pdf` field and from js/cv-focus.js.
+ * @param {Object} pdfVariants - js/pdf-variants.js
+ * @param {Object} cvFocus - js/cv-focus.js
+ */
+function listExports(pdfVariants, cvFocus) {
+  const { listPdfVariants, pdfVariantPath, getPaper, getLength } = pdfVariants;
+  const languages = loadLanguages().filter((entry) => entry.pdf);
+  const variants = languages.flatMap((entry) => listPdfVariants().map(({ paper, length }) => ({
+    lang: entry.code,
+    paper,
+    length,
+    focus: [],
+    outputPath: path.resolve(ROOT, pdfVariantPath(entry.pdf, paper.id, length.id)),
+  })));
+  const tailored = languages.flatMap((entry) => listFocuses(cvFocus).map((focus) => ({
+    lang: entry.code,
+    paper: getPaper(),
+    length: getLength(),
+    focus,
+    outputPath: path.resolve(ROOT, cvFocus.focusPdfPath(focus, entry.code)),
+  })));
+  return [...variants, ...tailored];
+}
 
-      await page.goto(cvUrl, { waitUntil: 'networkidle', timeout: 60_000 });
-      await page.waitForFunction(
-        () => !document.documentElement.hasAttribute('data-i18n-pending'),
-        { timeout: 15_000 },
-      );
+async function main() {
+  const { formatMessage } = await import(path.join(ROOT, 'js', 'message-format.js'));
+  const { localizeResume } = await import(path.join(ROOT, 'js', 'resume.js'));
+  const pdfVariants = await import(path.join(ROOT, 'js', 'pdf-variants.js'));
+  const cvFocus = await import(path.join(ROOT, 'js', 'cv-focus.js'));
+  const exports = listExports(pdfVariants, cvFocus);
+  fs.mkdirSync(path.join(ROOT, cvFocus.FOCUS_PDF_DIR), { recursive: true });
+  const resume = loadResume();
+  const results = [];
+  await withExportHarness(async ({ browser, origin }) => {
+    for (const { lang, paper, length, focus, outputPath } of exports) {
+      /* Force language + light theme so exports are deterministic regardless of localStorage;
+         ?paper= and ?length= select the print layout (css/print.css), ?focus= tailors the content */
+      const focusParam = focus.length > 0 ? `&focus=${focus.join(',')}` : '';
+      const cvUrl = `${origin}/cv.html?lang=${lang}&paper=${paper.id}&length=${length.id}${focusParam}`;
+      const { context, page } = await openPage(browser, cvUrl, {
+        colorScheme: 'light',
+        storage: { 'jcv-lang': lang },
+      });
       await page.evaluate(() => {
         document.documentElement.setAttribute('data-theme', 'light');
       });
@@ -71,18 +109,30 @@ async function main() {
 
       await page.pdf({
         path: outputPath,
-        format: 'A4',
+        format: paper.format,
         margin: { top: '0', right: '0', bottom: '0', left: '0' },
         printBackground: true,
+        /* Structure tree for screen readers; the heading outline seeds the section bookmarks */
+        tagged: true,
+        outline: true,
       });
+      await finalizePdf(outputPath, pdfMetadata(resume, lang, { formatMessage, localizeResume }));
 
-      console.log(`✅ PDF generated (${lang}): ${outputPath}`);
       await context.close();
+
+      const result = await validatePdf(outputPath, lang, length, focus);
+      results.push(result);
+      const variant = [lang, paper.format, length.id, ...(focus.length > 0 ? [focus.join('+')] : [])].join(', ');
+      console.log(`${isValid(result) ? '✅' : '❌'} PDF generated (${variant}, ${result.pages} pages): ${outputPath}`);
     }
+  });
+  writeAssetManifest();
+  console.log('✅ js/asset-manifest.js updated');
 
-    await browser.close();
-  } finally {
-    server.kill();
+  const failing = results.filter((result) => !isValid(result));
+  if (failing.length > 0) {
+    failing.forEach((result) => console.error(`\n${formatReport(result)}`));
+    throw new Error(`validation failed for ${failing.map(({ file }) => file).join(', ')}`);
   }
 }
 
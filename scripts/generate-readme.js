@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Regenerates the data-driven sections of README.md from data/resume.json.
+ * Run: npm run build:readme
+ *
+ * Only text between `<!-- resume:<section> -->` and `<!-- /resume:<section> -->`
+ * markers is replaced; everything else in the README stays hand-written.
+ * Markers may wrap a block (on their own lines) or an inline value.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, DEFAULT_LANG, loadResume } = require('./lib/resume');
+
+const README_PATH = path.join(ROOT, 'README.md');
+
+function renderStack(resume, { localize }) {
+  return (resume.skills || [])
+    .map((group) => {
+      const keywords = group.keywords.map((kw) => localize(kw, DEFAULT_LANG));
+      return `**${localize(group.name, DEFAULT_LANG)}:** ${keywords.join(' · ')}`;
+    })
+    .join('\n\n');
+}
+
+function renderContact(resume) {
+  const { url, email, profiles = [] } = resume.basics;
+  const lines = [];
+  if (url) {
+    lines.push(`- 🌐 [Portfolio](${url})`);
+  }
+  profiles.forEach((profile) => {
+    const icon = profile.network === 'LinkedIn' ? '💼' : '🔗';
+    lines.push(`- ${icon} [${profile.network}](${profile.url})`);
+  });
+  if (email) {
+    lines.push(`- ✉️ ${email}`);
+  }
+  return lines.join('\n');
+}
+
+/** Inline figure, e.g. "I have <!-- resume:years -->6<!-- /resume:years -->+ years …". */
+function renderYears(resume, { totalExperienceYears }) {
+  return String(totalExperienceYears(resume.work));
+}
+
+const SECTIONS = {
+  years: renderYears,
+  stack: renderStack,
+  contact: renderContact,
+};
+
+async function main() {
+  const { localize } = await import(path.join(ROOT, 'js', 'resume.js'));
+  const { totalExperienceYears } = await import(path.join(ROOT, 'js', 'dates.js'));
+  const pageModules = { localize, totalExperienceYears };
+  const resume = loadResume();
+  let readme = fs.readFileSync(README_PATH, 'utf8');
+
+  for (const [name, render] of Object.entries(SECTIONS)) {
+    const pattern = new RegExp(`(<!-- resume:${name} -->\\n?)[\\s\\S]*?(\\n?<!-- /resume:${name} -->)`);
+    if (!pattern.test(readme)) {
+      throw new Error(`README.md is missing the resume:${name} markers`);
+    }
+    readme = readme.replace(pattern, (_match, open, close) => `${open}${render(resume, pageModules)}${close}`);
+  }
+
+  fs.writeFileSync(README_PATH, readme);
+  console.log('✅ README.md updated from data/resume.json');
+}
+
+main().catch((err) => {
+  console.error('❌ README generation failed:', err.message);
+  process.exit(1);
+});
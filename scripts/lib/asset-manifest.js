@@ -0,0 +1,101 @@
+/**
+ * Content hashes of the files the front-end downloads or caches, written to js/asset-manifest.js.
+ * The pages append the hash as `?v=` and key the translation localStorage cache on it, so any
+ * change to a file changes its URL and cache version without a hand-bumped constant.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./resume');
+
+const MODULE_PATH = path.join(ROOT, 'js', 'asset-manifest.js');
+/** Hex digits kept per hash; plenty to tell builds apart in a query string. */
+const HASH_LENGTH = 12;
+
+/** Directories (relative to the root) and which of their files are hashed. */
+const HASHED_FILES = [
+  { dir: 'i18n', pattern: /\.json$/ },
+  { dir: 'assets', pattern: /^joaquin-noguera-cv-/ },
+  { dir: 'assets/banners', pattern: /\.(png|json)$/ },
+  { dir: 'assets/focus', pattern: /\.pdf$/ },
+];
+
+/**
+ * Hashes every tracked file on disk.
+ * @returns {Object<string, string>} Root-relative POSIX path → short SHA-256, sorted by path
+ */
+function computeAssetHashes() {
+  const entries = HASHED_FILES.flatMap(({ dir, pattern }) => {
+    const absolute = path.join(ROOT, dir);
+    if (!fs.existsSync(absolute)) {
+      return [];
+    }
+    return fs.readdirSync(absolute, { withFileTypes: true })
+      .filter((entry) => entry.isFile() && pattern.test(entry.name))
+      .map((entry) => {
+        const hash = crypto.createHash('sha256')
+          .update(fs.readFileSync(path.join(absolute, entry.name)))
+          .digest('hex')
+          .slice(0, HASH_LENGTH);
+        return [`${dir}/${entry.name}`, hash];
+      });
+  });
+  return Object.fromEntries(entries.sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Source of js/asset-manifest.js for the given hashes.
+ * @param {Object<string, string>} hashes - Path → hash
+ * @returns {string} ES module text
+ */
+function renderAssetManifest(hashes) {
+  return [
+    '/**',
+    ' * Asset Manifest — content hashes of downloads and translation files (generated)',
+    ' * Written by the build scripts (npm run build:manifest, build:pdf, build:exports, build:banner);',
+    ' * do not edit by hand. Read it through js/asset-url.js.',
+    ' * @module asset-manifest',
+    ' */',
+    '',
+    '/** @type {Object<string, string>} Root-relative path → short SHA-256 of the file */',
+    'export const ASSET_HASHES = {',
+    ...Object.entries(hashes).map(([file, hash]) => `  '${file}': '${hash}',`),
+    '};',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Rewrites js/asset-manifest.js from the files on disk.
+ * @returns {number} Number of hashed files
+ */
+function writeAssetManifest() {
+  const hashes = computeAssetHashes();
+  fs.writeFileSync(MODULE_PATH, renderAssetManifest(hashes));
+  return Object.keys(hashes).length;
+}
+
+/**
+ * Paths whose hash in js/asset-manifest.js is missing, outdated or no longer on disk.
+ * @returns {string[]} Stale paths (empty when the module is current)
+ */
+function findStaleAssets() {
+  const hashes = computeAssetHashes();
+  const actual = fs.existsSync(MODULE_PATH) ? fs.readFileSync(MODULE_PATH, 'utf8') : '';
+  if (actual === renderAssetManifest(hashes)) {
+    return [];
+  }
+  const linePattern = /^ {2}'([^']+)': '([0-9a-f]+)',$/gm;
+  const recorded = Object.fromEntries(Array.from(actual.matchAll(linePattern), (match) => [match[1], match[2]]));
+  const paths = new Set([...Object.keys(hashes), ...Object.keys(recorded)]);
+  const stale = Array.from(paths).filter((file) => hashes[file] !== recorded[file]);
+  return stale.length > 0 ? stale : [path.relative(ROOT, MODULE_PATH)];
+}
+
+module.exports = {
+  computeAssetHashes,
+  renderAssetManifest,
+  writeAssetManifest,
+  findStaleAssets,
+};
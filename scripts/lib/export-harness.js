@@ -0,0 +1,226 @@
+/**
+ * Shared Playwright harness for the export scripts (generate-pdf.js, generate-banner.js): serves
+ * the site from an in-process static server on a free port, waits until it answers, opens pages
+ * once translations and fonts are in, and closes the browser and server on success, error or Ctrl+C.
+ * Needs no network access and no `npx serve`, so exports work offline.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const { ROOT } = require('./resume');
+
+const HOST = '127.0.0.1';
+const PROBE_TIMEOUT_MS = 10_000;
+const PROBE_INTERVAL_MS = 100;
+const PROBE_REQUEST_TIMEOUT_MS = 1000;
+const NAVIGATION_TIMEOUT_MS = 60_000;
+const I18N_TIMEOUT_MS = 15_000;
+
+/** Content types for the files the pages load; anything else is served as binary. */
+const MIME_TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.ico': 'image/x-icon',
+  '.jpg': 'image/jpeg',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.webp': 'image/webp',
+  '.woff2': 'font/woff2',
+  '.xml': 'application/xml; charset=utf-8',
+};
+
+/**
+ * Maps a request path to a file under root (index.html for directories).
+ * @param {string} root - Absolute directory being served
+ * @param {string} pathname - URL path, e.g. "/cv.html"
+ * @returns {string|null} Absolute file path, or null when missing or outside root
+ */
+function resolveFile(root, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (_err) {
+    /* Malformed escape: treat as not found */
+    return null;
+  }
+  let filePath = path.join(root, decoded);
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+    return null;
+  }
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+  }
+  return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+}
+
+/**
+ * Starts a static file server on a free port. Responses are never cached, so a page always sees
+ * the files the export is about to overwrite as they are on disk.
+ * @param {string} [root=ROOT] - Directory to serve
+ * @returns {Promise<{ origin: string, close: () => Promise<void> }>}
+ */
+function startStaticServer(root = ROOT) {
+  const notFoundPage = path.join(root, '404.html');
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' }).end();
+      return;
+    }
+    const { pathname } = new URL(req.url, `http://${HOST}`);
+    const filePath = resolveFile(root, pathname);
+    const status = filePath ? 200 : 404;
+    const body = filePath || (fs.existsSync(notFoundPage) ? notFoundPage : null);
+    if (!body) {
+      res.writeHead(status).end();
+      return;
+    }
+    res.writeHead(status, {
+      'Content-Type': MIME_TYPES[path.extname(body).toLowerCase()] || 'application/octet-stream',
+      'Cache-Control': 'no-store',
+    });
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    fs.createReadStream(body).on('error', () => res.destroy()).pipe(res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    /* Port 0: the OS picks a free one, so parallel exports never collide */
+    server.listen(0, HOST, () => {
+      const { port } = server.address();
+      resolve({
+        origin: `http://${HOST}:${port}`,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(() => done());
+        }),
+      });
+    });
+  });
+}
+
+/**
+ * Polls the server until it serves a page, instead of sleeping for a fixed time.
+ * @param {string} origin - e.g. "http://127.0.0.1:41234"
+ * @param {string} [probePath='/index.html'] - File that must answer 200
+ */
+async function waitForServer(origin, probePath = '/index.html') {
+  const deadline = Date.now() + PROBE_TIMEOUT_MS;
+  let lastError = null;
+  while (Date.now() < deadline) {
+    try {
+      const res = await fetch(`${origin}${probePath}`, { method: 'HEAD', signal: AbortSignal.timeout(PROBE_REQUEST_TIMEOUT_MS) });
+      if (res.ok) {
+        return;
+      }
+      lastError = new Error(`HTTP ${res.status}`);
+    } catch (err) {
+      lastError = err;
+    }
+    await new Promise((resolve) => setTimeout(resolve, PROBE_INTERVAL_MS));
+  }
+  throw new Error(`Static server at ${origin} not ready after ${PROBE_TIMEOUT_MS} ms (${lastError ? lastError.message : 'no response'})`);
+}
+
+/**
+ * Waits until js/i18n.js has applied translations (data-i18n-pending removed from <html>) and
+ * every web font has loaded or failed, so text is final before a PDF or screenshot.
+ * @param {import('playwright').Page} page
+ */
+async function waitForPageReady(page) {
+  await page.waitForFunction(
+    () => !document.documentElement.hasAttribute('data-i18n-pending'),
+    { timeout: I18N_TIMEOUT_MS },
+  );
+  await page.evaluate(() => document.fonts.ready.then(() => undefined));
+}
+
+/**
+ * Opens a URL in a fresh browser context and waits for {@link waitForPageReady}.
+ * The caller closes the returned context; it is closed here if loading fails.
+ * @param {import('playwright').Browser} browser
+ * @param {string} url - Absolute page URL
+ * @param {object} [options] - Playwright context options (colorScheme, viewport, …)
+ * @param {Object<string, string>} [options.storage] - localStorage entries set before any script runs
+ * @returns {Promise<{ context: import('playwright').BrowserContext, page: import('playwright').Page }>}
+ */
+async function openPage(browser, url, { storage = {}, ...contextOptions } = {}) {
+  const context = await browser.newContext(contextOptions);
+  try {
+    if (Object.keys(storage).length > 0) {
+      await context.addInitScript((entries) => {
+        try {
+          Object.entries(entries).forEach(([key, value]) => localStorage.setItem(key, value));
+        } catch (_err) {
+          /* Storage blocked: the page falls back to URL params and defaults */
+        }
+      }, storage);
+    }
+    const page = await context.newPage();
+    await page.goto(url, { waitUntil: 'networkidle', timeout: NAVIGATION_TIMEOUT_MS });
+    await waitForPageReady(page);
+    return { context, page };
+  } catch (err) {
+    await context.close();
+    throw err;
+  }
+}
+
+/**
+ * Runs an export with a served site and a launched Chromium, then shuts both down — also when
+ * the task throws or the process is interrupted.
+ * @template T
+ * @param {(harness: { browser: import('playwright').Browser, origin: string }) => Promise<T>} task
+ * @param {{ root?: string }} [options] - Directory to serve (default: project root)
+ * @returns {Promise<T>} The task's result
+ */
+async function withExportHarness(task, { root = ROOT } = {}) {
+  const server = await startStaticServer(root);
+  let browser = null;
+  let closing = null;
+  const shutdown = () => {
+    if (!closing) {
+      closing = Promise.resolve(browser && browser.close())
+        .catch(() => {
+          /* Browser already gone (crashed or killed): nothing left to close */
+        })
+        .then(() => server.close());
+    }
+    return closing;
+  };
+  const onSignal = (signal) => {
+    console.error(`\n❌ Interrupted (${signal}), closing browser and server`);
+    shutdown().finally(() => process.exit(128 + os.constants.signals[signal]));
+  };
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
+
+  try {
+    await waitForServer(server.origin);
+    browser = await chromium.launch();
+    return await task({ browser, origin: server.origin });
+  } finally {
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+    await shutdown();
+  }
+}
+
+module.exports = {
+  startStaticServer,
+  waitForServer,
+  waitForPageReady,
+  openPage,
+  withExportHarness,
+};
@@ -0,0 +1,74 @@
+/**
+ * Language codes inlined in the pages' head scripts. The head script picks the language before
+ * first paint, before i18n/languages.json could be fetched, so each page carries the manifest's
+ * codes as `var langs=[…];`. npm run build:langs writes them from the manifest and
+ * npm run check:i18n fails when a page's list is stale or missing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadLanguages } = require('./resume');
+
+/** Pages whose head script picks a language (404.html is English-only and has none). */
+const BOOT_PAGES = ['index.html', 'cv.html', 'banner.html'];
+const INLINE_LANGS_PATTERN = /\bvar langs=\[([^\]]*)\];/;
+
+/** @returns {string[]} Manifest language codes, in manifest order */
+function manifestCodes() {
+  return loadLanguages().map((entry) => entry.code);
+}
+
+/**
+ * Head script statement listing the given codes.
+ * @param {string[]} codes
+ * @returns {string} e.g. `var langs=['en','es'];`
+ */
+function renderInlineLangs(codes) {
+  return `var langs=[${codes.map((code) => `'${code}'`).join(',')}];`;
+}
+
+/**
+ * Problems with the inlined lists: a page without one, or one that differs from the manifest.
+ * @param {string[]} [codes] - Expected codes (default: the manifest's)
+ * @returns {string[]} One message per problem (empty when every page is current)
+ */
+function findInlineLangProblems(codes = manifestCodes()) {
+  return BOOT_PAGES.flatMap((file) => {
+    const match = INLINE_LANGS_PATTERN.exec(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    if (!match) {
+      return [`${file} head script has no \`var langs=[…];\` list`];
+    }
+    const inlined = Array.from(match[1].matchAll(/'([^']*)'/g), ([, code]) => code);
+    return inlined.join(',') === codes.join(',')
+      ? []
+      : [`${file} head script lists [${inlined.join(', ')}], expected [${codes.join(', ')}]`];
+  });
+}
+
+/**
+ * Rewrites each page's inlined list from the manifest.
+ * @returns {string[]} Pages whose list changed
+ * @throws {Error} When a page has no list to rewrite
+ */
+function writeInlineLangs() {
+  const statement = renderInlineLangs(manifestCodes());
+  return BOOT_PAGES.filter((file) => {
+    const filePath = path.join(ROOT, file);
+    const html = fs.readFileSync(filePath, 'utf8');
+    if (!INLINE_LANGS_PATTERN.test(html)) {
+      throw new Error(`${file} head script has no \`var langs=[…];\` list`);
+    }
+    const updated = html.replace(INLINE_LANGS_PATTERN, statement);
+    if (updated === html) {
+      return false;
+    }
+    fs.writeFileSync(filePath, updated);
+    return true;
+  });
+}
+
+module.exports = {
+  BOOT_PAGES,
+  findInlineLangProblems,
+  writeInlineLangs,
+};
@@ -0,0 +1,227 @@
+/**
+ * Post-processing for the CV PDFs written by Chromium (scripts/generate-pdf.js): document info
+ * and language, a bookmark per CV section, and checks that the file is tagged and its text can be
+ * selected and copied, which screen readers and ATS parsers rely on. {@link checkDocument} reads
+ * all of that back from a finished file (scripts/lib/pdf-validate.js).
+ */
+
+const fs = require('fs');
+const { loadTranslations, resolveKey } = require('./resume');
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRawStream,
+  PDFHexString,
+  PDFString,
+  decodePDFRawStream,
+} = require('pdf-lib');
+
+/** Sections of the CV page (cv.sections.*), in reading order: one bookmark each. */
+const CV_SECTIONS = ['experience', 'education', 'skills', 'languages'];
+/** Font types whose glyph codes mean nothing without a ToUnicode map (Chromium embeds Type0 subsets). */
+const UNMAPPED_FONTS = ['Type0', 'Type3'];
+/** Private-use code points: icon-font glyphs (Font Awesome) that leak into heading text. */
+const ICON_GLYPHS = /[\uE000-\uF8FF]/g;
+
+const normalize = (text) => text.replace(ICON_GLYPHS, '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Flattens an outline tree (First/Next links) in reading order.
+ * @param {PDFDict|undefined} parent - Outline root or item
+ * @returns {PDFDict[]}
+ */
+function outlineItems(parent) {
+  const items = [];
+  let item = parent && parent.lookupMaybe(PDFName.of('First'), PDFDict);
+  while (item) {
+    items.push(item, ...outlineItems(item));
+    item = item.lookupMaybe(PDFName.of('Next'), PDFDict);
+  }
+  return items;
+}
+
+/**
+ * Replaces the heading outline Chromium embeds (`outline: true`: every h1–h6, job titles
+ * included) with one top-level bookmark per section, reusing Chromium's destinations.
+ * @param {PDFDocument} pdf
+ * @param {string[]} titles - Section titles in reading order, as shown on the page
+ * @throws {Error} When a section heading is missing from the embedded outline
+ */
+function setSectionBookmarks(pdf, titles) {
+  const { catalog, context } = pdf;
+  const headings = outlineItems(catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict)).map((item) => ({
+    text: normalize(item.lookup(PDFName.of('Title')).decodeText()),
+    target: item.get(PDFName.of('Dest')) ? ['Dest', item.get(PDFName.of('Dest'))] : ['A', item.get(PDFName.of('A'))],
+  }));
+
+  const missing = titles.filter((title) => !headings.some(({ text }) => text === normalize(title)));
+  if (missing.length > 0) {
+    throw new Error(`no heading in the PDF outline for: ${missing.join(', ')}`);
+  }
+
+  const rootRef = context.nextRef();
+  const refs = titles.map(() => context.nextRef());
+  titles.forEach((title, index) => {
+    const [key, target] = headings.find(({ text }) => text === normalize(title)).target;
+    const item = context.obj({ Title: PDFHexString.fromText(title), Parent: rootRef, [key]: target });
+    if (index > 0) {
+      item.set(PDFName.of('Prev'), refs[index - 1]);
+    }
+    if (index < refs.length - 1) {
+      item.set(PDFName.of('Next'), refs[index + 1]);
+    }
+    context.assign(refs[index], item);
+  });
+  context.assign(rootRef, context.obj({ Type: 'Outlines', First: refs[0], Last: refs[refs.length - 1], Count: refs.length }));
+  catalog.set(PDFName.of('Outlines'), rootRef);
+  /* Open with the bookmarks panel visible */
+  catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+/**
+ * Decoded content of a page and of the form XObjects it draws.
+ * @param {import('pdf-lib').PDFPage} page
+ * @returns {string} Content stream operators (latin1)
+ */
+function pageContent(page) {
+  const decode = (stream) => (stream instanceof PDFRawStream
+    ? Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1')
+    : '');
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map((ref) => page.doc.context.lookup(ref))
+    : [contents];
+  const xObjects = page.node.Resources()?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+  const forms = xObjects
+    ? xObjects.values().map((ref) => page.doc.context.lookup(ref))
+      .filter((obj) => obj instanceof PDFRawStream && obj.dict.get(PDFName.of('Subtype')) === PDFName.of('Form'))
+    : [];
+  return [...streams, ...forms].map(decode).join('\n');
+}
+
+/**
+ * Checks that assistive tech and parsers can read the PDF: it has a structure tree (tagged),
+ * every page draws real text rather than outlines or images, and every font maps its glyphs
+ * back to Unicode, without which selected or extracted text comes out as garbage.
+ * @param {PDFDocument} pdf
+ * @throws {Error} Listing every problem found
+ */
+function assertTextSelectable(pdf) {
+  const problems = [];
+  if (!pdf.catalog.get(PDFName.of('StructTreeRoot'))) {
+    problems.push('not tagged (no StructTreeRoot)');
+  }
+  pdf.getPages().forEach((page, index) => {
+    if (!/\bBT\b[\s\S]*?\bT[jJ]\b/.test(pageContent(page))) {
+      problems.push(`page ${index + 1} has no text`);
+    }
+  });
+  pdf.context.enumerateIndirectObjects().forEach(([ref, obj]) => {
+    const dict = obj instanceof PDFDict ? obj : null;
+    const subtype = dict && dict.get(PDFName.of('Type')) === PDFName.of('Font') && dict.get(PDFName.of('Subtype'));
+    if (subtype && UNMAPPED_FONTS.includes(subtype.decodeText()) && !dict.get(PDFName.of('ToUnicode'))) {
+      const name = dict.get(PDFName.of('BaseFont'));
+      problems.push(`font ${name ? name.decodeText() : ref.toString()} has no ToUnicode map`);
+    }
+  });
+  if (problems.length > 0) {
+    throw new Error(`PDF text is not selectable: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Document info for one language's PDF.
+ * @param {Object} resume - Resume data (all languages)
+ * @param {string} lang - Language code
+ * @param {{ formatMessage: Function, localizeResume: Function }} pageModules - From
+ *   js/message-format.js and js/resume.js
+ * @returns {{ title: string, author: string, subject: string, keywords: string[], lang: string, sections: string[] }}
+ */
+function pdfMetadata(resume, lang, { formatMessage, localizeResume }) {
+  const translations = loadTranslations(lang);
+  const { basics, skills } = localizeResume(resume, lang);
+  const label = (key, params) => formatMessage(resolveKey(translations, key) || key, params, lang);
+  return {
+    title: label('cv.pdf.title', { name: basics.name }),
+    author: basics.name,
+    subject: label('cv.pdf.subject', { label: basics.label }),
+    keywords: [...new Set([
+      ...translations.cv.pdf.keywords,
+      ...skills.flatMap((group) => group.keywords),
+    ])],
+    lang,
+    sections: CV_SECTIONS.map((section) => label(`cv.sections.${section}`)),
+  };
+}
+
+/**
+ * Reads back what {@link finalizePdf} writes: title, author, language, tags and section bookmarks.
+ * @param {string} filePath - PDF file
+ * @param {{ title: string, author: string, lang: string, sections: string[] }} meta - From {@link pdfMetadata}
+ * @returns {Promise<string[]>} One line per problem; empty when the file matches
+ */
+async function checkDocument(filePath, { title, author, lang, sections }) {
+  const pdf = await PDFDocument.load(fs.readFileSync(filePath), { updateMetadata: false });
+  const { catalog } = pdf;
+  const problems = [];
+  const expect = (field, actual, expected) => {
+    if (actual !== expected) {
+      problems.push(actual ? `${field} is "${actual}", expected "${expected}"` : `no ${field} (expected "${expected}")`);
+    }
+  };
+  expect('Title', pdf.getTitle(), title);
+  expect('Author', pdf.getAuthor(), author);
+  expect('Lang', catalog.lookupMaybe(PDFName.of('Lang'), PDFString, PDFHexString)?.decodeText(), lang);
+  if (!catalog.get(PDFName.of('StructTreeRoot'))) {
+    problems.push('not tagged (no StructTreeRoot)');
+  }
+  const root = catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  const bookmarks = [];
+  let item = root && root.lookupMaybe(PDFName.of('First'), PDFDict);
+  while (item) {
+    bookmarks.push(item.lookup(PDFName.of('Title')).decodeText());
+    item = item.lookupMaybe(PDFName.of('Next'), PDFDict);
+  }
+  if (bookmarks.join('\n') !== sections.join('\n')) {
+    problems.push(bookmarks.length > 0
+      ? `bookmarks are ${bookmarks.join(', ')}, expected ${sections.join(', ')}`
+      : `no bookmarks (expected ${sections.join(', ')})`);
+  }
+  return problems;
+}
+
+/**
+ * Rewrites a Chromium PDF in place with document info, language and section bookmarks,
+ * after checking its text is selectable.
+ * @param {string} filePath - PDF from page.pdf({ tagged: true, outline: true })
+ * @param {Object} meta
+ * @param {string} meta.title - Shown in the viewer's title bar instead of the file name
+ * @param {string} meta.author
+ * @param {string} meta.subject
+ * @param {string[]} meta.keywords
+ * @param {string} meta.lang - BCP 47 language tag, e.g. "es"
+ * @param {string[]} meta.sections - Section titles to bookmark, in reading order
+ */
+async function finalizePdf(filePath, { title, author, subject, keywords, lang, sections }) {
+  /* Keep Chromium's producer and dates instead of pdf-lib's */
+  const pdf = await PDFDocument.load(fs.readFileSync(filePath), { updateMetadata: false });
+  assertTextSelectable(pdf);
+  pdf.setTitle(title, { showInWindowTitleBar: true });
+  pdf.setAuthor(author);
+  pdf.setSubject(subject);
+  pdf.setKeywords(keywords);
+  pdf.setLanguage(lang);
+  setSectionBookmarks(pdf, sections);
+  /* No object streams: some ATS parsers still choke on them */
+  fs.writeFileSync(filePath, await pdf.save({ useObjectStreams: false }));
+}
+
+module.exports = {
+  CV_SECTIONS,
+  pdfMetadata,
+  finalizePdf,
+  assertTextSelectable,
+  checkDocument,
+};
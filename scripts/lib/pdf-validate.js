@@ -0,0 +1,144 @@
+/**
+ * Checks a generated CV PDF against the content it should contain: extracts the text of every
+ * page (pdfjs-dist), then reports document info, language, tags or section bookmarks that
+ * scripts/lib/pdf-finalize.js did not write, a page count over budget, blank pages, section titles and
+ * experience bullets missing for the PDF's language, and default-language text left in a
+ * translated PDF. Page budgets and which roles keep their bullets come from the variant's length
+ * (js/pdf-variants.js); a tailored PDF's bullets are the ones its focus keeps (js/cv-focus.js). Used by scripts/generate-pdf.js after each export and by scripts/check-pdf.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, DEFAULT_LANG, loadResume, loadTranslations, resolveKey } = require('./resume');
+const { CV_SECTIONS, pdfMetadata, checkDocument } = require('./pdf-finalize');
+
+/** Private-use glyphs (Font Awesome icons) and soft hyphens carry no text. */
+const NON_TEXT = /[\uE000-\uF8FF\u00AD]/g;
+
+/**
+ * Whitespace-free form for matching: line wraps and justification put breaks and spaces
+ * anywhere in the extracted text, so they are dropped on both sides.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return text.normalize('NFC').replace(NON_TEXT, '').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Extracts the text of each page.
+ * @param {string} filePath - PDF file
+ * @returns {Promise<string[]>} One string per page
+ */
+async function extractPages(filePath) {
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const doc = await getDocument({ data: new Uint8Array(fs.readFileSync(filePath)), verbosity: 0 }).promise;
+  try {
+    const pages = [];
+    for (let number = 1; number <= doc.numPages; number += 1) {
+      const { items } = await (await doc.getPage(number)).getTextContent();
+      pages.push(items.map((item) => `${item.str}${item.hasEOL ? '\n' : ' '}`).join(''));
+    }
+    return pages;
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * Section titles and experience bullets a language's PDF must contain, each labelled with
+ * where it comes from.
+ * @param {string} lang - Language code
+ * @param {number|null} detailedRoles - Roles whose bullets are printed (null: all)
+ * @param {{ localize: Function, tailor: (resume: Object) => Object }} resolve - Text lookup from
+ *   js/resume.js, and a change applied to the resume first (e.g. a focus)
+ * @returns {{ source: string, text: string }[]}
+ */
+function expectedContent(lang, detailedRoles, { localize, tailor }) {
+  const translations = loadTranslations(lang);
+  const sections = CV_SECTIONS.map((section) => ({
+    source: `cv.sections.${section}`,
+    text: resolveKey(translations, `cv.sections.${section}`),
+  }));
+  const roles = tailor(loadResume()).work.slice(0, detailedRoles ?? undefined);
+  const bullets = roles.flatMap((role, roleIndex) => (role.highlights || []).map((item, index) => ({
+    source: `work[${roleIndex}].highlights[${index}]`,
+    text: localize(item, lang),
+  })));
+  return [...sections, ...bullets];
+}
+
+/**
+ * Validates one PDF.
+ * @param {string} filePath - PDF file
+ * @param {string} lang - Its language
+ * @param {{ pageBudget: number, detailedRoles: number|null }} length - Its length (PDF_LENGTHS entry)
+ * @param {string[]} [focus] - Focus areas of a tailored PDF
+ * @returns {Promise<{ file: string, lang: string, document: string[], pages: number, pageBudget: number, blank: number[], missing: object[], untranslated: object[] }>}
+ */
+async function validatePdf(filePath, lang, { pageBudget, detailedRoles }, focus = []) {
+  const { localize, localizeResume } = await import(path.join(ROOT, 'js', 'resume.js'));
+  const { focusResume } = await import(path.join(ROOT, 'js', 'cv-focus.js'));
+  const { formatMessage } = await import(path.join(ROOT, 'js', 'message-format.js'));
+  const resolve = { localize, tailor: (resume) => focusResume(resume, focus) };
+  const pages = await extractPages(filePath);
+  const text = normalize(pages.join(''));
+  const expected = expectedContent(lang, detailedRoles, resolve);
+  const missing = expected.filter((entry) => !text.includes(normalize(entry.text)));
+  /* Default-language strings that differ from the translation must not show up in it */
+  const untranslated = lang === DEFAULT_LANG ? [] : expectedContent(DEFAULT_LANG, detailedRoles, resolve)
+    .filter((entry, index) => normalize(entry.text) !== normalize(expected[index].text))
+    .filter((entry) => text.includes(normalize(entry.text)));
+  return {
+    file: path.relative(ROOT, filePath),
+    lang,
+    document: await checkDocument(filePath, pdfMetadata(loadResume(), lang, { formatMessage, localizeResume })),
+    pages: pages.length,
+    pageBudget,
+    blank: pages.flatMap((page, index) => (normalize(page) === '' ? [index + 1] : [])),
+    missing,
+    untranslated,
+  };
+}
+
+/**
+ * @param {Awaited<ReturnType<typeof validatePdf>>} result
+ * @returns {boolean} True when nothing is wrong
+ */
+function isValid({ document, pages, pageBudget, blank, missing, untranslated }) {
+  return document.length === 0 && pages <= pageBudget && blank.length === 0 && missing.length === 0 && untranslated.length === 0;
+}
+
+/**
+ * Diff-style report of a failed validation: `-` lines are expected content the PDF lacks,
+ * `+` lines are what it has instead.
+ * @param {Awaited<ReturnType<typeof validatePdf>>} result
+ * @returns {string}
+ */
+function formatReport({ file, lang, document, pages, pageBudget, blank, missing, untranslated }) {
+  const lines = [`--- expected (i18n/${lang}.json, data/resume.json)`, `+++ ${file}`];
+  const quote = ({ source, text }) => `${source}: ${text}`;
+  if (document.length > 0) {
+    lines.push('@@ document info @@', ...document.map((problem) => `!  ${problem}`));
+  }
+  if (pages > pageBudget) {
+    lines.push('@@ page count @@', `-  at most ${pageBudget}`, `+  ${pages}`);
+  }
+  if (blank.length > 0) {
+    lines.push('@@ blank pages @@', ...blank.map((page) => `+  page ${page}`));
+  }
+  if (missing.length > 0) {
+    lines.push('@@ missing text @@', ...missing.map((entry) => `-  ${quote(entry)}`));
+  }
+  if (untranslated.length > 0) {
+    lines.push(`@@ untranslated (${DEFAULT_LANG}) text @@`, ...untranslated.map((entry) => `+  ${quote(entry)}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  extractPages,
+  validatePdf,
+  isValid,
+  formatReport,
+};
@@ -0,0 +1,44 @@
+/**
+ * Node-side loaders for data/resume.json and the i18n files. Build scripts resolve and format
+ * resume text with the page modules themselves (`await import()` of js/resume.js, js/dates.js),
+ * so they produce the same text the pages render. js/package.json marks those files as ES
+ * modules for Node; the browser loads them as `type="module"` scripts either way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const RESUME_PATH = path.join(ROOT, 'data', 'resume.json');
+const I18N_DIR = path.join(ROOT, 'i18n');
+const LANGUAGES_PATH = path.join(I18N_DIR, 'languages.json');
+const DEFAULT_LANG = 'en';
+
+/** Reads data/resume.json (all languages). */
+function loadResume() {
+  return JSON.parse(fs.readFileSync(RESUME_PATH, 'utf8'));
+}
+
+/** Reads the language manifest (i18n/languages.json) — the list of languages to build. */
+function loadLanguages() {
+  return JSON.parse(fs.readFileSync(LANGUAGES_PATH, 'utf8')).languages;
+}
+
+/** Reads i18n/<lang>.json. */
+function loadTranslations(lang) {
+  return JSON.parse(fs.readFileSync(path.join(I18N_DIR, `${lang}.json`), 'utf8'));
+}
+
+/** Resolves a dot-separated key path (e.g. "cv.sections.experience"). */
+function resolveKey(obj, keyPath) {
+  return keyPath.split('.').reduce((acc, key) => (acc && typeof acc === 'object' ? acc[key] : undefined), obj);
+}
+
+module.exports = {
+  ROOT,
+  DEFAULT_LANG,
+  loadResume,
+  loadLanguages,
+  loadTranslations,
+  resolveKey,
+};
@@ -1,11 +1,29 @@
+import { readFile } from 'node:fs/promises';
 import { test, expect } from '@playwright/test';
 
 const NAV_LINK_COUNT = 7;
 const CONTACT_CARD_COUNT = 4;
 const MIN_EXPERIENCE_ENTRIES = 4;
 const MIN_SKILL_TAGS = 10;
+const DOWNLOAD_FORMAT_COUNT = 5;
+/* Experience bullets tagged in data/resume.json: all, frontend, frontend or payments */
+const CV_BULLET_COUNT = 15;
+const FRONTEND_BULLET_COUNT = 4;
+const FRONTEND_PAYMENTS_BULLET_COUNT = 6;
+/* Roles with a bullet tagged "salesforce" in data/resume.json */
+const SALESFORCE_ROLE_COUNT = 3;
 const MOBILE_VIEWPORT_WIDTH = 375;
 const MOBILE_VIEWPORT_HEIGHT = 812;
+const BANNER_WIDTH = 1584;
+const BANNER_HEIGHT = 396;
+const OG_CARD_WIDTH = 1200;
+const OG_CARD_HEIGHT = 630;
+/** PNG IHDR: width and height follow the 8-byte signature and the chunk length/type. */
+const PNG_WIDTH_OFFSET = 16;
+const PNG_HEIGHT_OFFSET = 20;
+/** Red minus blue above which a pixel counts as the amber tap ripple (particles are slate). */
+const RIPPLE_MIN_WARMTH = 40;
+const RGBA_CHANNELS = 4;
 
 /* ==========================================================================
    Smoke Tests — Verifies critical paths load and core features function
@@ -34,27 +52,134 @@ test.describe('Homepage', () => {
     }
   });
 
-  test('theme toggle switches data-theme attribute', async ({ page }) => {
+  test('theme menu switches data-theme attribute', async ({ page }) => {
     const html = page.locator('html');
     const themeToggle = page.locator('[data-theme-toggle]').first();
 
     const initialTheme = await html.getAttribute('data-theme');
+    const nextTheme = initialTheme === 'dark' ? 'light' : 'dark';
     await themeToggle.click();
-    const newTheme = await html.getAttribute('data-theme');
+    await page.locator(`[data-theme-menu] [role="option"][data-value="${nextTheme}"]`).click();
 
-    expect(newTheme).not.toEqual(initialTheme);
+    await expect(html).toHaveAttribute('data-theme', nextTheme);
+    await expect(html).toHaveAttribute('data-theme-preference', nextTheme);
   });
 
-  test('language toggle switches lang attribute', async ({ page }) => {
+  test('system theme follows the OS after an explicit choice', async ({ page }) => {
+    const html = page.locator('html');
+    const themeToggle = page.locator('[data-theme-toggle]').first();
+
+    await themeToggle.click();
+    await page.locator('[data-theme-menu] [role="option"][data-value="light"]').click();
+    await themeToggle.click();
+    await page.locator('[data-theme-menu] [role="option"][data-value="system"]').click();
+
+    await page.emulateMedia({ colorScheme: 'dark' });
+    await expect(html).toHaveAttribute('data-theme', 'dark');
+    await page.emulateMedia({ colorScheme: 'light', contrast: 'more' });
+    await expect(html).toHaveAttribute('data-theme', 'contrast');
+  });
+
+  test('language picker switches lang attribute', async ({ page }) => {
     const html = page.locator('html');
     const langToggle = page.locator('[data-lang-toggle]').first();
     const initialLang = await html.getAttribute('lang');
 
     await langToggle.click();
+    await expect(langToggle).toHaveAttribute('aria-expanded', 'true');
+    await page.locator(`[data-lang-menu] [role="option"]:not([data-lang="${initialLang}"])`).first().click();
     await expect.poll(async () => html.getAttribute('lang')).not.toBe(initialLang);
     const lang = await html.getAttribute('lang');
 
     expect(['en', 'es']).toContain(lang);
+    await expect(langToggle).toHaveAttribute('aria-expanded', 'false');
+  });
+
+  test('unsupported ?lang= codes fall back to a listed language', async ({ page }) => {
+    await page.goto('/?lang=de');
+    await expect(page.locator('html')).toHaveAttribute('lang', 'en');
+    await page.goto('/404.html?lang=es');
+    await expect(page.locator('html')).toHaveAttribute('lang', 'en');
+  });
+
+  test('language picker is keyboard accessible', async ({ page }) => {
+    const langToggle = page.locator('[data-lang-toggle]').first();
+
+    await langToggle.focus();
+    await page.keyboard.press('ArrowDown');
+    await expect(page.locator('[data-lang-menu] [role="option"]:focus')).toHaveCount(1);
+    await page.keyboard.press('Escape');
+    await expect(langToggle).toHaveAttribute('aria-expanded', 'false');
+    await expect(langToggle).toBeFocused();
+  });
+
+  test('experience timeline renders roles from resume data', async ({ page }) => {
+    const entries = page.locator('.timeline__entry');
+    await expect(entries.first()).toBeAttached();
+    expect(await entries.count()).toBeGreaterThanOrEqual(MIN_EXPERIENCE_ENTRIES);
+    await expect(page.locator('.timeline__entry[aria-current="step"]')).toHaveCount(1);
+    /* Homepage wording (`home` overrides in data/resume.json), not the CV's */
+    await expect(page.locator('.timeline__role').first()).toHaveText('Software Developer');
+    await expect(entries.first().locator('.timeline__bullets li').nth(1)).toHaveText(/^Implemented Redis caching system/);
+  });
+
+  test('experience periods and durations are computed from ISO dates', async ({ page }) => {
+    const start = page.locator('.timeline__meta time[datetime]').first();
+    await expect(start).toHaveAttribute('datetime', /^\d{4}-\d{2}$/);
+    await expect(page.locator('.timeline__meta').first()).toContainText(/\d+ (yrs?|mos?)/);
+    await expect(page.locator('.hero__intro')).not.toContainText('{');
+  });
+
+  test('skills grid renders tags from resume data', async ({ page }) => {
+    const tags = page.locator('.skills__tags .tag');
+    await expect(tags.first()).toBeAttached();
+    expect(await tags.count()).toBeGreaterThanOrEqual(MIN_SKILL_TAGS);
+  });
+
+  test('skill tags highlight the roles that used them and deep-link with #skills=', async ({ page }) => {
+    await page.goto('/#skills=redis');
+    await expect(page.locator('[data-skill="redis"][aria-pressed="true"]')).toHaveCount(2);
+    await expect(page.locator('.timeline__bullet--match')).toHaveCount(1);
+    await expect(page.locator('.timeline__bullet--match')).toContainText('Redis');
+    await expect(page.locator('[data-skill-usage]')).toHaveText(/^Redis: 1 role · \d+ yrs?/);
+
+    await page.locator('[data-skill="salesforce"]').click();
+    await expect(page).toHaveURL(/#skills=salesforce$/);
+    await expect(page.locator('.timeline__entry--match')).toHaveCount(SALESFORCE_ROLE_COUNT);
+
+    await page.keyboard.press('Escape');
+    await expect(page.locator('[data-skill][aria-pressed="true"]')).toHaveCount(0);
+    await expect(page.locator('.timeline__entry--match')).toHaveCount(0);
+  });
+
+  test('ICU placeholders in translations are formatted', async ({ page }) => {
+    const paragraph = page.locator('[data-i18n="about.p1"]');
+    await expect(paragraph).toContainText('10 years');
+    await expect(paragraph).not.toContainText('{');
+  });
+
+  test('Spanish page has no keys falling back to English', async ({ page }) => {
+    await page.goto('/?lang=es');
+    await expect(page.locator('html')).not.toHaveAttribute('data-i18n-pending', 'true');
+    await expect(page.locator('[data-i18n-missing]')).toHaveCount(0);
+  });
+
+  test('missing translations are marked and reported in the console on localhost', async ({ page }) => {
+    await page.route('**/i18n/es.json*', async (route) => {
+      const response = await route.fetch();
+      const translations = await response.json();
+      delete translations.about.p1;
+      await route.fulfill({ response, json: translations });
+    });
+    const warnings = [];
+    page.on('console', (message) => {
+      if (message.type() === 'warning') {
+        warnings.push(message.text());
+      }
+    });
+    await page.goto('/?lang=es');
+    await expect(page.locator('[data-i18n="about.p1"]')).toHaveAttribute('data-i18n-missing', 'about.p1');
+    await expect.poll(() => warnings).toContain('[i18n] 1 key(s) missing in "es"');
   });
 
   test('contact section displays contact cards', async ({ page }) => {
@@ -75,6 +200,21 @@ test.describe('Homepage', () => {
     await expect(canvas).toBeAttached();
   });
 
+  test('particle field renders in a worker via OffscreenCanvas', async ({ page }) => {
+    await expect(page.locator('#particle-canvas')).toHaveAttribute('data-particle-renderer', 'worker');
+  });
+
+  test('effect parameter selects a registered background effect', async ({ page }) => {
+    const canvas = page.locator('#particle-canvas');
+    await expect(canvas).toHaveAttribute('data-particle-effect', 'constellation');
+
+    await page.goto('/?effect=code-rain');
+    await expect(canvas).toHaveAttribute('data-particle-effect', 'code-rain');
+
+    await page.goto('/?effect=unknown');
+    await expect(canvas).toHaveAttribute('data-particle-effect', 'constellation');
+  });
+
   test('footer displays copyright year', async ({ page }) => {
     const year = new Date().getFullYear().toString();
     await expect(page.locator('#copyright-year')).toHaveText(year);
@@ -94,12 +234,14 @@ test.describe('CV Page', () => {
 
   test('experience section has entries', async ({ page }) => {
     const entries = page.locator('.cv__xp-item');
+    await expect(entries.first()).toBeAttached();
     const count = await entries.count();
     expect(count).toBeGreaterThanOrEqual(MIN_EXPERIENCE_ENTRIES);
   });
 
   test('skills section displays skill tags', async ({ page }) => {
     const tags = page.locator('.cv__skill-tags .tag');
+    await expect(tags.first()).toBeAttached();
     const count = await tags.count();
     expect(count).toBeGreaterThanOrEqual(MIN_SKILL_TAGS);
   });
@@ -109,6 +251,110 @@ test.describe('CV Page', () => {
     await expect(page.locator('#download-btn')).toBeVisible();
   });
 
+  test('download offers PDF and text export formats', async ({ page }) => {
+    const formats = page.locator('#download-format option');
+    await expect(formats).toHaveCount(DOWNLOAD_FORMAT_COUNT);
+
+    const response = await page.request.get('/assets/joaquin-noguera-cv-en.json');
+    expect(response.ok()).toBeTruthy();
+    const resume = await response.json();
+    expect(resume.basics.name).toContain('Joaquín Noguera');
+    expect(resume.work.length).toBeGreaterThanOrEqual(MIN_EXPERIENCE_ENTRIES);
+  });
+
+  test('PDF paper size and length pick the print layout and hide for other formats', async ({ page }) => {
+    await page.goto('/cv.html?paper=letter&length=compact');
+    await expect(page.locator('html')).toHaveAttribute('data-cv-paper', 'letter');
+    await expect(page.locator('html')).toHaveAttribute('data-cv-length', 'compact');
+    await expect(page.locator('#download-length')).toHaveValue('compact');
+
+    await page.emulateMedia({ media: 'print' });
+    await expect(page.locator('.cv__xp-item').first().locator('.cv__xp-bullets')).toBeVisible();
+    await expect(page.locator('.cv__xp-item--earlier .cv__xp-bullets').first()).toBeHidden();
+
+    await page.emulateMedia({ media: 'screen' });
+    await page.locator('#download-format').selectOption('md');
+    await expect(page.locator('#download-paper')).toBeHidden();
+    await expect(page.locator('#download-length')).toBeHidden();
+  });
+
+  test('print options style the printout and restore the page afterwards', async ({ page }) => {
+    await page.evaluate(() => {
+      window.print = () => {
+        window.dispatchEvent(new Event('beforeprint'));
+        window.printedClasses = document.documentElement.className;
+        window.dispatchEvent(new Event('afterprint'));
+      };
+    });
+    await page.locator('#print-btn').click();
+    const dialog = page.locator('#print-dialog');
+    await expect(dialog).toBeVisible();
+
+    await dialog.locator('input[name="photo"]').uncheck();
+    await dialog.locator('input[name="testimonials"]').check();
+    await dialog.locator('input[value="grayscale"]').check();
+    await dialog.locator('button[value="print"]').click();
+    await expect(dialog).toBeHidden();
+
+    const printed = await page.evaluate(() => window.printedClasses);
+    expect(printed.split(' ')).toEqual(['cv-print--no-photo', 'cv-print--testimonials', 'cv-print--grayscale']);
+    await expect(page.locator('html')).not.toHaveClass(/cv-print--/);
+
+    await page.emulateMedia({ media: 'print' });
+    await expect(page.locator('.cv__testimonials')).toBeHidden();
+    await page.evaluate(() => document.documentElement.classList.add('cv-print--testimonials', 'cv-print--no-photo'));
+    await expect(page.locator('.cv__quote').first()).toBeVisible();
+    await expect(page.locator('.cv__header-photo')).toBeHidden();
+  });
+
+  test('focus filters bullets and skills and stays in the URL', async ({ page }) => {
+    await page.goto('/cv.html?focus=frontend');
+    await expect(page.locator('[data-cv-focus] input[value="frontend"]')).toBeChecked();
+    const unmatchedRole = page.locator('.cv__xp-item').nth(1);
+    await expect(unmatchedRole.locator('.cv__xp-role')).toBeVisible();
+    await expect(unmatchedRole.locator('.cv__xp-bullets')).toHaveCount(0);
+    await expect(page.locator('.cv__xp-bullets li')).toHaveCount(FRONTEND_BULLET_COUNT);
+    await expect(page.locator('.cv__skill-label').first()).toHaveText('Frontend');
+
+    await page.locator('[data-cv-focus] input[value="payments"]').check();
+    await expect(page).toHaveURL(/focus=payments%2Cfrontend/);
+    await expect(page.locator('.cv__xp-bullets li')).toHaveCount(FRONTEND_PAYMENTS_BULLET_COUNT);
+
+    await page.locator('[data-cv-focus] input:checked').evaluateAll((boxes) => boxes.forEach((box) => box.click()));
+    await expect(page).not.toHaveURL(/focus=/);
+    await expect(page.locator('.cv__xp-bullets li')).toHaveCount(CV_BULLET_COUNT);
+  });
+
+  test('a focus the download cannot be tailored to is explained next to it', async ({ page }) => {
+    await page.goto('/cv.html?focus=backend');
+    const note = page.locator('[data-download-note]');
+    await expect(note).toBeEmpty();
+
+    await page.locator('#download-paper').selectOption('letter');
+    await expect(note).toHaveText(/no tailored file/);
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#download-btn').click();
+    expect(new URL((await downloadPromise).url()).pathname).toBe('/assets/joaquin-noguera-cv-en-letter.pdf');
+
+    await page.locator('#download-paper').selectOption('a4');
+    await expect(note).toBeEmpty();
+    await page.locator('#download-format').selectOption('md');
+    await expect(note).toHaveText(/no tailored file/);
+    await page.locator('[data-cv-focus] input[value="backend"]').uncheck();
+    await expect(note).toBeEmpty();
+  });
+
+  test('downloads are cache-busted with the content hash from the asset manifest', async ({ page }) => {
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('#download-btn').click();
+    const download = await downloadPromise;
+
+    const url = new URL(download.url());
+    expect(url.pathname).toBe('/assets/joaquin-noguera-cv-en.pdf');
+    const manifest = await (await page.request.get('/js/asset-manifest.js')).text();
+    expect(manifest).toContain(`'assets/joaquin-noguera-cv-en.pdf': '${url.searchParams.get('v')}'`);
+  });
+
   test('navigation links point back to homepage', async ({ page }) => {
     const firstNavLink = page.locator('.nav__link').first();
     const href = await firstNavLink.getAttribute('href');
@@ -116,12 +362,104 @@ test.describe('CV Page', () => {
   });
 });
 
+test.describe('Banner Page', () => {
+  test('seeded freeze frame draws the same particle layout on every load', async ({ page }) => {
+    const snapshot = async () => {
+      await page.goto('/banner.html?seed=42&freeze=1');
+      const canvas = page.locator('#banner-particle-canvas');
+      await expect(canvas).toHaveAttribute('data-particle-renderer', 'main');
+      return canvas.evaluate((el) => el.toDataURL());
+    };
+
+    const first = await snapshot();
+    expect(await snapshot()).toBe(first);
+  });
+
+  test('current preview downloads as a PNG in the selected theme and language', async ({ page }) => {
+    await page.goto('/banner.html?theme=light&lang=es');
+    await expect(page.locator('html')).not.toHaveAttribute('data-i18n-pending', 'true');
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('[data-banner-export]').click();
+    const download = await downloadPromise;
+
+    expect(download.suggestedFilename()).toBe('joaquin-noguera-linkedin-banner-light-es.png');
+    const png = await readFile(await download.path());
+    expect(png.readUInt32BE(PNG_WIDTH_OFFSET)).toBe(BANNER_WIDTH);
+    expect(png.readUInt32BE(PNG_HEIGHT_OFFSET)).toBe(BANNER_HEIGHT);
+  });
+
+  test('pre-built PNG buttons come from the banner manifest', async ({ page }) => {
+    await page.goto('/banner.html?lang=en');
+    const buttons = page.locator('[data-banner-download]');
+    await expect(buttons).toHaveCount(2);
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('[data-banner-download="light"]').click();
+    const download = await downloadPromise;
+
+    expect(download.suggestedFilename()).toBe('joaquin-noguera-linkedin-banner-light-en.png');
+    const png = await readFile(await download.path());
+    expect(png.readUInt32BE(PNG_WIDTH_OFFSET)).toBe(BANNER_WIDTH);
+  });
+
+  test('format preset resizes the preview and its PNG export', async ({ page }) => {
+    await page.goto('/banner.html?lang=en');
+    await page.locator('#banner-field-preset').selectOption('og');
+    await expect(page).toHaveURL(/preset=og/);
+
+    const box = await page.locator('#linkedin-banner').boundingBox();
+    expect(box.width).toBe(OG_CARD_WIDTH);
+    expect(box.height).toBe(OG_CARD_HEIGHT);
+
+    const downloadPromise = page.waitForEvent('download');
+    await page.locator('[data-banner-export]').click();
+    const download = await downloadPromise;
+
+    expect(download.suggestedFilename()).toBe('joaquin-noguera-og-image-dark-en.png');
+    const png = await readFile(await download.path());
+    expect(png.readUInt32BE(PNG_WIDTH_OFFSET)).toBe(OG_CARD_WIDTH);
+    expect(png.readUInt32BE(PNG_HEIGHT_OFFSET)).toBe(OG_CARD_HEIGHT);
+  });
+
+  test('studio edits update the banner, the share URL and survive a reload', async ({ page }) => {
+    await page.goto('/banner.html');
+    await page.locator('#banner-field-headline').fill('Staff Platform Engineer');
+    await page.locator('#banner-field-avatar').check();
+
+    const banner = page.locator('#linkedin-banner');
+    await expect(banner.locator('.banner-canvas__role')).toHaveText('Staff Platform Engineer');
+    await expect(banner.locator('.banner-canvas__avatar')).toBeVisible();
+    await expect(page).toHaveURL(/headline=Staff\+Platform\+Engineer/);
+    await expect(page).toHaveURL(/avatar=1/);
+
+    await page.goto('/banner.html');
+    await expect(banner.locator('.banner-canvas__role')).toHaveText('Staff Platform Engineer');
+    await expect(page.locator('#banner-field-headline')).toHaveValue('Staff Platform Engineer');
+    await expect(page).toHaveURL(/headline=/);
+
+    /* A shared link overrides only the fields it sets */
+    await page.goto('/banner.html?stack=Go');
+    await expect(banner.locator('.banner-canvas__stack')).toHaveText('Go');
+    await expect(banner.locator('.banner-canvas__role')).toHaveText('Staff Platform Engineer');
+    await page.goto('/banner.html?avatar=0');
+    await expect(banner.locator('.banner-canvas__avatar')).toBeHidden();
+    await expect(page.locator('#banner-field-avatar')).not.toBeChecked();
+  });
+});
+
 test.describe('404 Page', () => {
   test('displays error page with navigation', async ({ page }) => {
     await page.goto('/404.html');
     await expect(page.locator('.error-page__code')).toHaveText('404');
     await expect(page.locator('.btn--primary')).toBeVisible();
   });
+
+  test('keeps the system contrast theme on load', async ({ page }) => {
+    await page.emulateMedia({ colorScheme: 'light', contrast: 'more' });
+    await page.goto('/404.html');
+    await expect(page.locator('html')).toHaveAttribute('data-theme', 'contrast');
+  });
 });
 
 test.describe('Responsive', () => {
@@ -160,3 +498,48 @@ test.describe('Responsive', () => {
     await expect(page.locator('.nav__links')).toHaveClass(/nav__links--open/);
   });
 });
+
+test.describe('Touch', () => {
+  test.use({ hasTouch: true, viewport: { width: MOBILE_VIEWPORT_WIDTH, height: MOBILE_VIEWPORT_HEIGHT } });
+
+  test('tapping the background pulses particles without blocking scroll', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', (err) => errors.push(err.message));
+
+    /* Ripple rings are the only accent-colored (amber) strokes the particle field draws */
+    const countRipplePixels = async () => page.evaluate(async ({ src, minWarmth, channels }) => {
+      const image = new Image();
+      image.src = src;
+      await image.decode();
+      const scratch = document.createElement('canvas');
+      scratch.width = image.width;
+      scratch.height = image.height;
+      const ctx = scratch.getContext('2d');
+      ctx.drawImage(image, 0, 0);
+      const { data } = ctx.getImageData(0, 0, image.width, image.height);
+      let count = 0;
+      for (let i = 0; i < data.length; i += channels) {
+        if (data[i] - data[i + 2] > minWarmth && data[i] > data[i + 1]) {
+          count++;
+        }
+      }
+      return count;
+    }, {
+      src: `data:image/png;base64,${(await page.screenshot()).toString('base64')}`,
+      minWarmth: RIPPLE_MIN_WARMTH,
+      channels: RGBA_CHANNELS,
+    });
+
+    await page.goto('/');
+    await expect(page.locator('#particle-canvas')).toHaveAttribute('data-particle-renderer', /worker|main/);
+    /* Show only the canvas; taps on hidden content still reach the document listeners */
+    await page.addStyleTag({ content: 'body > :not(#particle-canvas) { visibility: hidden !important; }' });
+    expect(await countRipplePixels()).toBe(0);
+    await page.touchscreen.tap(MOBILE_VIEWPORT_WIDTH / 2, MOBILE_VIEWPORT_HEIGHT / 2);
+    expect(await countRipplePixels()).toBeGreaterThan(0);
+
+    const touchAction = await page.evaluate(() => getComputedStyle(document.documentElement).touchAction);
+    expect(touchAction).toBe('auto');
+    expect(errors, `JS errors on page: ${errors.join(', ')}`).toHaveLength(0);
+  });
+});